@@ -1,11 +1,60 @@
 'use strict';
 
+const util = require('util');
+
+const AddressCache = require('./src/AddressCache');
+const DnsBackend = require('./src/DnsBackend');
+const FallbackBackend = require('./src/FallbackBackend');
 const Lookup = require('./src/Lookup');
+const ResolveTask = require('./src/ResolveTask');
+const ResolverBackend = require('./src/ResolverBackend');
+const SearchBackend = require('./src/SearchBackend');
+const StaticBackend = require('./src/StaticBackend');
+
+/**
+ * Creates an isolated `lookup` function with own cache and settings.
+ *
+ * @param {Object} [options] - see `Lookup` constructor
+ * @returns {Function} `dns.lookup` compatible function, the `Lookup` instance is available as `lookup.instance`
+ * and `dns.promises.lookup` compatible function as `lookup.promises.lookup`,
+ * `lookup.reportFailure`, `lookup.reportSuccess`, `lookup.warm` and cache management methods
+ * (`entries`, `has`, `delete`, `clear`) are bound to the instance
+ */
+function createLookup(options) {
+    const instance = new Lookup(options);
+
+    const lookup = instance.run.bind(instance);
+
+    lookup.instance = instance;
+    lookup.reportFailure = instance.reportFailure.bind(instance);
+    lookup.reportSuccess = instance.reportSuccess.bind(instance);
+    lookup.entries = instance.entries.bind(instance);
+    lookup.has = instance.has.bind(instance);
+    lookup.delete = instance.delete.bind(instance);
+    lookup.clear = instance.clear.bind(instance);
+    lookup.warm = instance.warm.bind(instance);
+    lookup.promises = {
+        lookup: (hostname, options) => instance.runAsync(hostname, options)
+    };
+
+    if (util.promisify) {
+        lookup[util.promisify.custom] = lookup.promises.lookup;
+    }
 
-const _lookup = new Lookup();
+    return lookup;
+}
 
-const lookup = _lookup.run.bind(_lookup);
+const lookup = createLookup();
 
 module.exports = {
-    lookup
+    lookup,
+    createLookup,
+    Lookup,
+    AddressCache,
+    ResolveTask,
+    DnsBackend,
+    ResolverBackend,
+    StaticBackend,
+    FallbackBackend,
+    SearchBackend
 };
@@ -1,10 +1,68 @@
 'use strict';
 
+const assert = require('assert');
+const { EventEmitter } = require('events');
+
 const _ = require('lodash');
 
-class AddressCache {
-    constructor() {
+class AddressCache extends EventEmitter {
+    /**
+     * How many accesses (relative to `maxEntries`) are counted before frequencies are halved.
+     *
+     * @returns {number}
+     */
+    static get FREQUENCY_SAMPLE_FACTOR() {
+        return 10;
+    }
+
+    /**
+     * @returns {number}
+     */
+    static get DEFAULT_SWEEP_INTERVAL() {
+        return 60000;
+    }
+
+    /**
+     * @param {Object} [options]
+     * @param {number} [options.sweepInterval] - how often (in ms) expired entries are deleted, `0` disables sweeping
+     * @param {number} [options.staleWhileRevalidate] - expired entries are kept during this time (in ms)
+     * @param {number} [options.serveStale] - expired entries are kept during this time (in ms)
+     * @param {number} [options.maxEntries] - max amount of cached keys, the least recently used ones are evicted
+     * @param {boolean} [options.admission] - admit new key into the full cache only if it is accessed
+     * more frequently than the key that would be evicted
+     */
+    constructor(options = {}) {
+        super();
+
+        assert(
+            options.maxEntries === undefined ||
+                (_.isInteger(options.maxEntries) && options.maxEntries > 0),
+            `maxEntries must be a positive integer. '${
+                options.maxEntries
+            }' has been provided.`
+        );
+
+        assert(
+            options.sweepInterval === undefined ||
+                (_.isInteger(options.sweepInterval) &&
+                    options.sweepInterval >= 0),
+            `sweepInterval must be a non-negative integer. '${
+                options.sweepInterval
+            }' has been provided.`
+        );
+
+        this._options = options;
+        this._maxEntries = options.maxEntries || Infinity;
+        this._sweepInterval = _.isNumber(options.sweepInterval)
+            ? options.sweepInterval
+            : AddressCache.DEFAULT_SWEEP_INTERVAL;
+        this._sweepTimer = null;
+
         this._cache = new Map();
+        this._negativeCache = new Map();
+
+        this._frequencies = new Map();
+        this._frequencySamples = 0;
     }
 
     /**
@@ -12,6 +70,8 @@ class AddressCache {
      * @returns {Address[]|undefined}
      */
     find(key) {
+        this._recordAccess(key);
+
         if (!this._cache.has(key)) {
             return;
         }
@@ -22,15 +82,225 @@ class AddressCache {
             return;
         }
 
+        // Map keeps insertion order, so the re-inserted key becomes the most recently used one.
+        this._cache.delete(key);
+        this._cache.set(key, addresses);
+
+        return addresses;
+    }
+
+    /**
+     * Unlike `find`, it neither counts the access nor refreshes the key.
+     *
+     * @param {string} key
+     * @returns {boolean} whether not expired addresses are cached
+     */
+    has(key) {
+        return !this._isExpired(this._cache.get(key));
+    }
+
+    /**
+     * Returns addresses even if they are expired, but not earlier than `maxStale` ms ago.
+     *
+     * @param {string} key
+     * @param {number} maxStale
+     * @returns {Address[]|undefined}
+     */
+    findStale(key, maxStale) {
+        const addresses = this._cache.get(key);
+
+        if (_.isEmpty(addresses)) {
+            return;
+        }
+
+        const now = Date.now();
+
+        if (addresses.some(address => address.expiredTime + maxStale <= now)) {
+            return;
+        }
+
         return addresses;
     }
 
+    /**
+     * @param {string} key
+     * @returns {Error|undefined} error of the not expired negative answer
+     */
+    findNegative(key) {
+        const entry = this._negativeCache.get(key);
+
+        if (!entry || entry.expiredTime <= Date.now()) {
+            return;
+        }
+
+        return entry.error;
+    }
+
     /**
      * @param {string} key
      * @param {Address[]} addresses
+     * @emits AddressCache#evict key and addresses of the evicted entry
      */
     set(key, addresses) {
+        this._negativeCache.delete(key);
+
+        if (this._cache.has(key)) {
+            this._cache.delete(key);
+        } else if (this._cache.size >= this._maxEntries) {
+            const victimKey = this._cache.keys().next().value;
+
+            if (
+                this._options.admission &&
+                this._getFrequency(key) <= this._getFrequency(victimKey)
+            ) {
+                return;
+            }
+
+            const victimAddresses = this._cache.get(victimKey);
+
+            this._cache.delete(victimKey);
+
+            this.emit('evict', victimKey, victimAddresses);
+        }
+
         this._cache.set(key, addresses);
+
+        this._scheduleSweep();
+    }
+
+    /**
+     * @param {string} key
+     * @param {Error} error
+     * @param {number} expiredTime
+     */
+    setNegative(key, error, expiredTime) {
+        this._negativeCache.delete(key);
+
+        if (this._negativeCache.size >= this._maxEntries) {
+            this._negativeCache.delete(this._negativeCache.keys().next().value);
+        }
+
+        this._negativeCache.set(key, { error, expiredTime });
+
+        this._scheduleSweep();
+    }
+
+    /**
+     * Lists addresses (including expired ones) and negative answers, the least recently used addresses go first.
+     *
+     * @returns {Array<{key: string, addresses: Address[], expiredTime: number, error: Error|null}>}
+     */
+    entries() {
+        const entries = [];
+
+        this._cache.forEach((addresses, key) => {
+            entries.push({
+                key,
+                addresses,
+                expiredTime: _.isEmpty(addresses)
+                    ? 0
+                    : _.min(addresses.map(address => address.expiredTime)),
+                error: null
+            });
+        });
+
+        this._negativeCache.forEach((entry, key) => {
+            entries.push({
+                key,
+                addresses: [],
+                expiredTime: entry.expiredTime,
+                error: entry.error
+            });
+        });
+
+        return entries;
+    }
+
+    /**
+     * @param {string} key
+     * @returns {boolean} whether addresses or negative answer have been deleted
+     */
+    delete(key) {
+        const isDeleted = this._cache.delete(key);
+        const isNegativeDeleted = this._negativeCache.delete(key);
+
+        this._frequencies.delete(key);
+
+        return isDeleted || isNegativeDeleted;
+    }
+
+    /**
+     * Deletes all addresses and negative answers.
+     */
+    clear() {
+        this._cache.clear();
+        this._negativeCache.clear();
+
+        this._frequencies.clear();
+        this._frequencySamples = 0;
+    }
+
+    /**
+     * Deletes entries that are expired and cannot be served as stale ones anymore.
+     *
+     * @emits AddressCache#sweep keys of the deleted entries
+     */
+    sweep() {
+        const now = Date.now();
+        const retention = Math.max(
+            this._options.staleWhileRevalidate || 0,
+            this._options.serveStale || 0
+        );
+
+        const sweptKeys = [];
+
+        this._cache.forEach((addresses, key) => {
+            if (
+                _.isEmpty(addresses) ||
+                addresses.some(
+                    address => address.expiredTime + retention <= now
+                )
+            ) {
+                this._cache.delete(key);
+                sweptKeys.push(key);
+            }
+        });
+
+        this._negativeCache.forEach((entry, key) => {
+            if (entry.expiredTime <= now) {
+                this._negativeCache.delete(key);
+                sweptKeys.push(key);
+            }
+        });
+
+        this.emit('sweep', _.uniq(sweptKeys));
+    }
+
+    /**
+     * Stops background sweeping, it is started again by the next `set` call.
+     */
+    close() {
+        if (this._sweepTimer) {
+            clearInterval(this._sweepTimer);
+            this._sweepTimer = null;
+        }
+    }
+
+    /**
+     * Timer is unref'd, so it never keeps the process alive.
+     *
+     * @private
+     */
+    _scheduleSweep() {
+        if (this._sweepTimer || this._sweepInterval === 0) {
+            return;
+        }
+
+        this._sweepTimer = setInterval(() => {
+            this.sweep();
+        }, this._sweepInterval);
+
+        this._sweepTimer.unref();
     }
 
     /**
@@ -45,6 +315,48 @@ class AddressCache {
 
         return addresses.some(address => address.expiredTime <= Date.now());
     }
+
+    /**
+     * Counts accesses for admission policy. Counters are halved periodically,
+     * so keys that were popular long time ago do not stay in the cache forever.
+     *
+     * @param {string} key
+     * @private
+     */
+    _recordAccess(key) {
+        if (!this._options.admission || this._maxEntries === Infinity) {
+            return;
+        }
+
+        this._frequencies.set(key, this._getFrequency(key) + 1);
+        this._frequencySamples += 1;
+
+        if (
+            this._frequencySamples <
+            this._maxEntries * AddressCache.FREQUENCY_SAMPLE_FACTOR
+        ) {
+            return;
+        }
+
+        this._frequencySamples = 0;
+
+        this._frequencies.forEach((frequency, frequencyKey) => {
+            if (frequency > 1) {
+                this._frequencies.set(frequencyKey, Math.floor(frequency / 2));
+            } else {
+                this._frequencies.delete(frequencyKey);
+            }
+        });
+    }
+
+    /**
+     * @param {string} key
+     * @returns {number}
+     * @private
+     */
+    _getFrequency(key) {
+        return this._frequencies.get(key) || 0;
+    }
 }
 
 module.exports = AddressCache;
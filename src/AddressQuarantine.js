@@ -0,0 +1,160 @@
+'use strict';
+
+const assert = require('assert');
+
+const _ = require('lodash');
+
+class AddressQuarantine {
+    /**
+     * @returns {number}
+     */
+    static get DEFAULT_PERIOD() {
+        return 10000;
+    }
+
+    /**
+     * @returns {number}
+     */
+    static get DEFAULT_MAX_PERIOD() {
+        return 300000;
+    }
+
+    /**
+     * @param {Object} [options]
+     * @param {number} [options.quarantinePeriod] - time in ms the address is skipped for after the first failure,
+     * it is doubled for every next consecutive failure
+     * @param {number} [options.maxQuarantinePeriod] - upper bound (in ms) of the quarantine period
+     */
+    constructor(options = {}) {
+        ['quarantinePeriod', 'maxQuarantinePeriod'].forEach(name => {
+            assert(
+                options[name] === undefined ||
+                    (_.isInteger(options[name]) && options[name] > 0),
+                `${name} must be a positive integer. '${
+                    options[name]
+                }' has been provided.`
+            );
+        });
+
+        this._period =
+            options.quarantinePeriod || AddressQuarantine.DEFAULT_PERIOD;
+        this._maxPeriod =
+            options.maxQuarantinePeriod || AddressQuarantine.DEFAULT_MAX_PERIOD;
+
+        this._entries = new Map();
+    }
+
+    /**
+     * @param {string} hostname
+     * @param {string} address
+     * @returns {number} quarantine period in ms
+     */
+    reportFailure(hostname, address) {
+        this.prune();
+
+        const key = this._makeKey(hostname, address);
+        const entry = this._findEntry(key);
+        const failures = entry ? entry.failures + 1 : 1;
+
+        const period = Math.min(
+            this._period * Math.pow(2, failures - 1),
+            this._maxPeriod
+        );
+
+        this._entries.set(key, { failures, until: Date.now() + period });
+
+        return period;
+    }
+
+    /**
+     * Deletes forgotten failures, including ones of the addresses that are not looked up anymore.
+     */
+    prune() {
+        const now = Date.now();
+
+        this._entries.forEach((entry, key) => {
+            if (this._isForgotten(entry, now)) {
+                this._entries.delete(key);
+            }
+        });
+    }
+
+    /**
+     * @param {string} hostname
+     * @param {string} address
+     */
+    reportSuccess(hostname, address) {
+        this._entries.delete(this._makeKey(hostname, address));
+    }
+
+    /**
+     * @param {string} hostname
+     * @param {string} address
+     * @returns {boolean}
+     */
+    isQuarantined(hostname, address) {
+        const entry = this._findEntry(this._makeKey(hostname, address));
+
+        return Boolean(entry) && entry.until > Date.now();
+    }
+
+    /**
+     * @param {string} hostname
+     * @param {Address[]} records
+     * @returns {Address[]} not quarantined records, or all of them if every one is quarantined
+     */
+    filter(hostname, records) {
+        if (this._entries.size === 0) {
+            return records;
+        }
+
+        const healthyRecords = records.filter(record => {
+            return !this.isQuarantined(hostname, record.address);
+        });
+
+        return _.isEmpty(healthyRecords) ? records : healthyRecords;
+    }
+
+    /**
+     * Failures are forgotten if the address has not failed again during the max quarantine period
+     * after the last quarantine ended.
+     *
+     * @param {string} key
+     * @returns {{failures: number, until: number}|undefined}
+     * @private
+     */
+    _findEntry(key) {
+        const entry = this._entries.get(key);
+
+        if (entry && this._isForgotten(entry, Date.now())) {
+            this._entries.delete(key);
+
+            return;
+        }
+
+        return entry;
+    }
+
+    /**
+     * @param {{failures: number, until: number}} entry
+     * @param {number} now
+     * @returns {boolean}
+     * @private
+     */
+    _isForgotten(entry, now) {
+        return entry.until + this._maxPeriod <= now;
+    }
+
+    // noinspection JSMethodCanBeStatic
+    /**
+     * @param {string} hostname
+     * @param {string} address
+     * @returns {string}
+     * @private
+     */
+    _makeKey(hostname, address) {
+        return `${hostname}_${address}`;
+    }
+}
+
+module.exports = AddressQuarantine;
@@ -0,0 +1,115 @@
+'use strict';
+
+const assert = require('assert');
+const crypto = require('crypto');
+
+const _ = require('lodash');
+
+class AddressSelector {
+    /**
+     * @returns {string[]}
+     */
+    static get STRATEGIES() {
+        return ['round-robin', 'random', 'consistent-hash'];
+    }
+
+    /**
+     * @param {Object} [options]
+     * @param {string|Function} [options.strategy] - one of the `STRATEGIES` or custom function
+     * `(records, {hostname, family, key}) => record`, `round-robin` is used if omitted
+     */
+    constructor(options = {}) {
+        const strategy = options.strategy;
+
+        assert(
+            strategy === undefined ||
+                _.isFunction(strategy) ||
+                AddressSelector.STRATEGIES.includes(strategy),
+            `strategy must be a function or one of the {${AddressSelector.STRATEGIES.join(
+                ', '
+            )}}, '${strategy}' has been provided.`
+        );
+
+        this._strategy = strategy || 'round-robin';
+
+        this._rotations = new Map();
+    }
+
+    /**
+     * @param {string} stateKey - round-robin rotation is kept per this key across cache refreshes
+     * @param {Address[]} records - not empty array of addresses
+     * @param {Object} context
+     * @param {string} context.hostname
+     * @param {number} context.family
+     * @param {string} [context.key] - caller-supplied key for consistent hashing
+     * @returns {Address}
+     * @throws {Error} custom strategy has thrown an error or returned not one of the `records`
+     */
+    select(stateKey, records, context) {
+        if (_.isFunction(this._strategy)) {
+            const record = this._strategy(records, context);
+
+            assert(
+                records.includes(record),
+                'strategy must return one of the passed addresses.'
+            );
+
+            return record;
+        }
+
+        if (this._strategy === 'random') {
+            return records[Math.floor(Math.random() * records.length)];
+        }
+
+        if (this._strategy === 'consistent-hash' && context.key !== undefined) {
+            return this._selectByHash(records, String(context.key));
+        }
+
+        return this._selectNext(stateKey, records);
+    }
+
+    /**
+     * @param {string} stateKey
+     */
+    forget(stateKey) {
+        this._rotations.delete(stateKey);
+    }
+
+    /**
+     * Every process starts rotation from the random offset, so they do not hit the same address at once.
+     *
+     * @param {string} stateKey
+     * @param {Address[]} records
+     * @returns {Address}
+     * @private
+     */
+    _selectNext(stateKey, records) {
+        const position = this._rotations.has(stateKey)
+            ? this._rotations.get(stateKey)
+            : Math.floor(Math.random() * records.length);
+
+        this._rotations.set(stateKey, (position + 1) % records.length);
+
+        return records[position % records.length];
+    }
+
+    // noinspection JSMethodCanBeStatic
+    /**
+     * Rendezvous hashing, so only keys of the removed address move to the other ones when addresses change.
+     *
+     * @param {Address[]} records
+     * @param {string} key
+     * @returns {Address}
+     * @private
+     */
+    _selectByHash(records, key) {
+        return _.maxBy(records, record => {
+            return crypto
+                .createHash('md5')
+                .update(`${key}:${record.address}`)
+                .digest('hex');
+        });
+    }
+}
+
+module.exports = AddressSelector;
@@ -0,0 +1,178 @@
+'use strict';
+
+const assert = require('assert');
+const dns = require('dns');
+
+const _ = require('lodash');
+
+/**
+ * Resolver backend that uses `dns.resolve4`/`dns.resolve6` methods.
+ *
+ * Any object with `resolve(hostname, family, options)` method that returns a promise of
+ * `{address: string, ttl: number}` array can be used as a resolver backend.
+ * If `options.cancellable` is set, the promise may have `cancel` method that cancels the query.
+ */
+class DnsBackend {
+    /**
+     * `resolver.setLocalAddress` has been added in NodeJS 15.1.0.
+     *
+     * @returns {boolean}
+     */
+    static get IS_LOCAL_ADDRESS_SUPPORTED() {
+        return Boolean(
+            dns.Resolver && _.isFunction(dns.Resolver.prototype.setLocalAddress)
+        );
+    }
+
+    /**
+     * `timeout` and `tries` options of `dns.Resolver` have been added in NodeJS 16.7.0,
+     * older versions silently ignore them.
+     *
+     * @returns {boolean}
+     */
+    static get ARE_RESOLVER_OPTIONS_SUPPORTED() {
+        const [major, minor] = process.versions.node.split('.').map(Number);
+
+        return major > 16 || (major === 16 && minor >= 7);
+    }
+
+    /**
+     * Max amount of resolvers kept for the next cancellable queries.
+     *
+     * @returns {number}
+     */
+    static get MAX_IDLE_RESOLVERS() {
+        return 10;
+    }
+
+    /**
+     * @param {dns|dns.Resolver} [dnsResolver] - global `dns` module is used if omitted
+     * @param {Object} [settings] - settings of the `dnsResolver`, they are used for cancellable queries
+     * @param {string|string[]} [settings.localAddress]
+     * @param {number} [settings.timeout]
+     * @param {number} [settings.tries]
+     */
+    constructor(dnsResolver = dns, settings = {}) {
+        assert(
+            settings.localAddress === undefined ||
+                DnsBackend.IS_LOCAL_ADDRESS_SUPPORTED,
+            `localAddress option requires NodeJS 15.1.0 or newer, ${
+                process.version
+            } is used.`
+        );
+        assert(
+            (settings.timeout === undefined && settings.tries === undefined) ||
+                DnsBackend.ARE_RESOLVER_OPTIONS_SUPPORTED,
+            `timeout and tries options require NodeJS 16.7.0 or newer, ${
+                process.version
+            } is used.`
+        );
+
+        this._dnsResolver = dnsResolver;
+        this._settings = settings;
+
+        this._idleResolvers = [];
+    }
+
+    /**
+     * @param {string} hostname
+     * @param {number} family
+     * @param {Object} [options]
+     * @param {boolean} [options.cancellable] - run the query on a resolver of its own, so it can be cancelled
+     * @returns {Promise<Array<{address: string, ttl: number}>>}
+     */
+    resolve(hostname, family, options = {}) {
+        const method = family === 4 ? 'resolve4' : 'resolve6';
+
+        // `resolver.cancel` cancels all outstanding queries of the resolver,
+        // so cancellable query cannot share it with other ones.
+        const dnsResolver = options.cancellable
+            ? this._acquireDnsResolver()
+            : this._dnsResolver;
+
+        let isSettled = false;
+
+        const promise = new Promise((resolve, reject) => {
+            dnsResolver[method](hostname, { ttl: true }, (error, addresses) => {
+                isSettled = true;
+
+                if (options.cancellable) {
+                    this._releaseDnsResolver(dnsResolver);
+                }
+
+                if (error) {
+                    return reject(error);
+                }
+
+                resolve(addresses);
+            });
+        });
+
+        if (options.cancellable) {
+            // Settled query has given the resolver away, so it must not cancel queries of the next owner.
+            promise.cancel = () => {
+                if (!isSettled) {
+                    dnsResolver.cancel();
+                }
+            };
+        }
+
+        return promise;
+    }
+
+    /**
+     * Reuses the resolver of the settled cancellable query, so not every query sets up a new channel.
+     *
+     * @returns {dns.Resolver}
+     * @private
+     */
+    _acquireDnsResolver() {
+        const servers = this._dnsResolver.getServers();
+
+        while (this._idleResolvers.length > 0) {
+            const dnsResolver = this._idleResolvers.pop();
+
+            // Servers of the global `dns` module may have been changed in the meantime.
+            if (_.isEqual(dnsResolver.getServers(), servers)) {
+                return dnsResolver;
+            }
+        }
+
+        return this._createDnsResolver(servers);
+    }
+
+    /**
+     * @param {dns.Resolver} dnsResolver
+     * @private
+     */
+    _releaseDnsResolver(dnsResolver) {
+        if (this._idleResolvers.length < DnsBackend.MAX_IDLE_RESOLVERS) {
+            this._idleResolvers.push(dnsResolver);
+        }
+    }
+
+    /**
+     * @param {string[]} [servers]
+     * @returns {dns.Resolver}
+     * @protected
+     */
+    _createDnsResolver(servers) {
+        const { localAddress, timeout, tries } = this._settings;
+
+        const dnsResolver = new dns.Resolver(
+            _.omitBy({ timeout, tries }, _.isUndefined)
+        );
+
+        if (servers) {
+            dnsResolver.setServers(servers);
+        }
+
+        if (localAddress) {
+            dnsResolver.setLocalAddress(..._.castArray(localAddress));
+        }
+
+        return dnsResolver;
+    }
+}
+
+module.exports = DnsBackend;
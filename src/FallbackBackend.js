@@ -0,0 +1,108 @@
+'use strict';
+
+const dns = require('dns');
+
+const _ = require('lodash');
+
+/**
+ * Resolver backend wrapper that retries failed queries through `dns.lookup` (getaddrinfo),
+ * so names known only to NSS sources (mDNS, LDAP, nsswitch files) are resolved as well.
+ */
+class FallbackBackend {
+    /**
+     * @returns {number}
+     */
+    static get DEFAULT_TTL() {
+        return 60;
+    }
+
+    /**
+     * @returns {string[]}
+     */
+    static get DEFAULT_ERROR_CODES() {
+        return [dns.NOTFOUND];
+    }
+
+    /**
+     * @param {{resolve: Function}} backend - wrapped resolver backend
+     * @param {Object} [options]
+     * @param {number} [options.fallbackTtl] - synthetic TTL in seconds of the addresses resolved by `dns.lookup`
+     * @param {string[]} [options.fallbackErrorCodes] - errors of the wrapped backend that trigger the fallback
+     */
+    constructor(backend, options = {}) {
+        this._backend = backend;
+        this._ttl = _.isNumber(options.fallbackTtl)
+            ? options.fallbackTtl
+            : FallbackBackend.DEFAULT_TTL;
+        this._errorCodes =
+            options.fallbackErrorCodes || FallbackBackend.DEFAULT_ERROR_CODES;
+    }
+
+    /**
+     * @returns {string|undefined}
+     */
+    get id() {
+        return this._backend.id;
+    }
+
+    /**
+     * @param {string} hostname
+     * @param {number} family
+     * @param {Object} [options] - passed to the wrapped backend
+     * @returns {Promise<Array<{address: string, ttl: number, source: string}>>}
+     */
+    resolve(hostname, family, options = {}) {
+        const query = this._backend.resolve(hostname, family, options);
+
+        let isCancelled = false;
+
+        const promise = query.catch(error => {
+            if (isCancelled || !this._errorCodes.includes(error.code)) {
+                throw error;
+            }
+
+            return this._lookup(hostname, family).catch(() => {
+                // Error of the wrapped backend is more meaningful than the getaddrinfo one.
+                throw error;
+            });
+        });
+
+        if (_.isFunction(query.cancel)) {
+            // `dns.lookup` cannot be cancelled, so only the wrapped backend query is.
+            promise.cancel = () => {
+                isCancelled = true;
+                query.cancel();
+            };
+        }
+
+        return promise;
+    }
+
+    /**
+     * @param {string} hostname
+     * @param {number} family
+     * @returns {Promise<Array<{address: string, ttl: number, source: string}>>}
+     * @private
+     */
+    _lookup(hostname, family) {
+        return new Promise((resolve, reject) => {
+            dns.lookup(hostname, { family, all: true }, (error, addresses) => {
+                if (error) {
+                    return reject(error);
+                }
+
+                resolve(
+                    addresses.map(address => {
+                        return {
+                            address: address.address,
+                            ttl: this._ttl,
+                            source: 'lookup'
+                        };
+                    })
+                );
+            });
+        });
+    }
+}
+
+module.exports = FallbackBackend;
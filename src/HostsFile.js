@@ -0,0 +1,170 @@
+'use strict';
+
+const fs = require('fs');
+const net = require('net');
+const path = require('path');
+
+const _ = require('lodash');
+
+class HostsFile {
+    /**
+     * @returns {string}
+     */
+    static get DEFAULT_PATH() {
+        if (process.platform === 'win32') {
+            return path.join(
+                process.env.SystemRoot || 'C:\\Windows',
+                'System32',
+                'drivers',
+                'etc',
+                'hosts'
+            );
+        }
+
+        return '/etc/hosts';
+    }
+
+    /**
+     * @returns {number}
+     */
+    static get DEFAULT_WATCH_INTERVAL() {
+        return 5000;
+    }
+
+    /**
+     * @param {Object} [options]
+     * @param {string|boolean} [options.hostsFile] - path to the hosts file, system one is used if omitted
+     * @param {number} [options.hostsFileWatchInterval] - how often (in ms) the file is checked for changes
+     */
+    constructor(options = {}) {
+        this._path = _.isString(options.hostsFile)
+            ? options.hostsFile
+            : HostsFile.DEFAULT_PATH;
+        this._watchInterval = _.isNumber(options.hostsFileWatchInterval)
+            ? options.hostsFileWatchInterval
+            : HostsFile.DEFAULT_WATCH_INTERVAL;
+
+        this._entries = null;
+        this._mtime = null;
+        this._checkTime = 0;
+        this._isChecking = false;
+    }
+
+    /**
+     * Hostname listed in the file is answered by it for both families, so the family without addresses
+     * is an empty array rather than a reason to query DNS server.
+     *
+     * @param {string} hostname
+     * @param {number} ipVersion
+     * @returns {Address[]|undefined} undefined if the hostname is not listed in the file
+     */
+    find(hostname, ipVersion) {
+        if (this._entries === null) {
+            this._load();
+        } else {
+            this._checkForChanges();
+        }
+
+        const entry = this._entries.get(this._normalize(hostname));
+
+        return entry && entry[ipVersion];
+    }
+
+    /**
+     * The very first load is synchronous, so the first lookup already sees the hosts file entries.
+     *
+     * @private
+     */
+    _load() {
+        this._checkTime = Date.now();
+
+        try {
+            this._mtime = fs.statSync(this._path).mtime.getTime();
+            this._entries = this._parse(fs.readFileSync(this._path, 'utf8'));
+        } catch (error) {
+            this._mtime = null;
+            this._entries = new Map();
+        }
+    }
+
+    /**
+     * Reloads the file in background if its modification time has been changed.
+     *
+     * @private
+     */
+    _checkForChanges() {
+        if (
+            this._isChecking ||
+            Date.now() - this._checkTime < this._watchInterval
+        ) {
+            return;
+        }
+
+        this._isChecking = true;
+
+        fs.stat(this._path, (error, stats) => {
+            const mtime = error ? null : stats.mtime.getTime();
+
+            if (mtime === this._mtime) {
+                this._checkTime = Date.now();
+                this._isChecking = false;
+
+                return;
+            }
+
+            fs.readFile(this._path, 'utf8', (error, content) => {
+                this._mtime = error ? null : mtime;
+                this._entries = error ? new Map() : this._parse(content);
+
+                this._checkTime = Date.now();
+                this._isChecking = false;
+            });
+        });
+    }
+
+    /**
+     * @param {string} content
+     * @returns {Map<string, Object<number, Address[]>>}
+     * @private
+     */
+    _parse(content) {
+        const entries = new Map();
+
+        content.split(/\r?\n/).forEach(line => {
+            const [address, ...hostnames] = line
+                .replace(/#.*/, '')
+                .trim()
+                .split(/\s+/);
+
+            const family = net.isIP(address.split('%')[0]);
+
+            if (!family) {
+                return;
+            }
+
+            hostnames.forEach(hostname => {
+                const key = this._normalize(hostname);
+
+                if (!entries.has(key)) {
+                    entries.set(key, { 4: [], 6: [] });
+                }
+
+                entries.get(key)[family].push({ address, family });
+            });
+        });
+
+        return entries;
+    }
+
+    // noinspection JSMethodCanBeStatic
+    /**
+     * @param {string} hostname
+     * @returns {string}
+     * @private
+     */
+    _normalize(hostname) {
+        return hostname.toLowerCase().replace(/\.$/, '');
+    }
+}
+
+module.exports = HostsFile;
@@ -1,16 +1,26 @@
 'use strict';
 
+const assert = require('assert');
 const dns = require('dns');
+const { EventEmitter } = require('events');
+const net = require('net');
 
 const _ = require('lodash');
 const async = require('async');
-const rr = require('rr');
 
 const AddressCache = require('./AddressCache');
+const AddressQuarantine = require('./AddressQuarantine');
+const AddressSelector = require('./AddressSelector');
+const DnsBackend = require('./DnsBackend');
+const FallbackBackend = require('./FallbackBackend');
+const HostsFile = require('./HostsFile');
+const SpecialUseDomains = require('./SpecialUseDomains');
 const TasksManager = require('./TasksManager');
 const ResolveTask = require('./ResolveTask');
+const ResolverBackend = require('./ResolverBackend');
+const SearchBackend = require('./SearchBackend');
 
-class Lookup {
+class Lookup extends EventEmitter {
     /**
      * @returns {number}
      */
@@ -26,17 +36,377 @@ class Lookup {
     }
 
     /**
+     * @returns {string[]}
+     */
+    static get RESULT_ORDERS() {
+        return ['ipv4first', 'ipv6first', 'verbatim'];
+    }
+
+    /**
+     * Order used when neither options nor process-wide default choose one.
+     *
+     * @returns {string}
+     */
+    static get DEFAULT_ORDER() {
+        return 'ipv4first';
+    }
+
+    /**
+     * Upstream failures that allow to answer with stale addresses (RFC 8767).
+     *
+     * @returns {string[]}
+     */
+    static get SERVE_STALE_ERROR_CODES() {
+        return [dns.TIMEOUT, dns.SERVFAIL, dns.CONNREFUSED];
+    }
+
+    /**
+     * Recommended by RFC 8305, section 3.
+     *
      * @returns {number}
      */
-    static get MAX_AMOUNT_OF_RESOLVE_TRIES() {
-        return 100;
+    static get DEFAULT_RESOLUTION_DELAY() {
+        return 50;
     }
 
-    constructor() {
-        this._addressCache = new AddressCache();
+    /**
+     * Fraction of the TTL that has to elapse before hot addresses are refreshed in background.
+     *
+     * @returns {number}
+     */
+    static get DEFAULT_PREFETCH_THRESHOLD() {
+        return 0.9;
+    }
+
+    /**
+     * @returns {number}
+     */
+    static get DEFAULT_PREFETCH_MIN_HITS() {
+        return 2;
+    }
+
+    /**
+     * @param {Object} [options] - instance settings, shared with the inner cache and resolve tasks
+     * @param {string} [options.order] - default order of addresses when family is not specified,
+     * process-wide default (except `verbatim`) or `DEFAULT_ORDER` is used if omitted
+     * @param {boolean} [options.race] - answer with the first resolved family when family is not specified (RFC 8305)
+     * @param {number} [options.resolutionDelay] - time in ms to wait for the preferred family in race mode
+     * @param {string|boolean} [options.hostsFile] - path to the hosts file, `false` disables hosts file lookups
+     * @param {number} [options.hostsFileWatchInterval] - how often (in ms) the hosts file is checked for changes
+     * @param {Object<string, boolean>|boolean} [options.specialUseDomains] - special-use domains answered locally
+     * @param {number} [options.staleWhileRevalidate] - time in ms after expiration during which cached addresses
+     * are still returned while they are being refreshed in background
+     * @param {number} [options.serveStale] - time in ms after expiration during which cached addresses
+     * are returned if DNS server fails (RFC 8767)
+     * @param {number} [options.negativeTtl] - time in seconds to cache NXDOMAIN/NODATA answers
+     * @param {number} [options.minTtl] - lower bound (in seconds) of the DNS TTL used for caching
+     * @param {number} [options.maxTtl] - upper bound (in seconds) of the DNS TTL used for caching
+     * @param {number} [options.ttlJitter] - max fraction (from 0 to 1) the TTL is randomly reduced by
+     * @param {number} [options.maxEntries] - max amount of cached keys, the least recently used ones are evicted
+     * @param {boolean} [options.admission] - frequency based admission of new keys into the full cache
+     * @param {number} [options.sweepInterval] - how often (in ms) expired cache entries are deleted
+     * @param {boolean} [options.prefetch] - refresh hot addresses in background before they expire
+     * @param {number} [options.prefetchThreshold] - fraction of the TTL that has to elapse before prefetch
+     * @param {number} [options.prefetchMinHits] - min amount of cache hits during the TTL to prefetch addresses
+     * @param {{resolve: Function}} [options.resolver] - resolver backend, see `DnsBackend`
+     * @param {string[]} [options.servers] - DNS servers of the own `dns.Resolver`, see `resolver.setServers`
+     * @param {string|string[]} [options.localAddress] - IPv4 and/or IPv6 address the own resolver sends queries from
+     * @param {number} [options.timeout] - query timeout in ms of the own resolver
+     * @param {number} [options.tries] - amount of tries of the own resolver for each name server
+     * @param {number} [options.queryTimeout] - time in ms after which the query is cancelled and fails with ETIMEOUT
+     * @param {Object|boolean} [options.retry] - retry policy for transient DNS errors, see `ResolveTask.DEFAULT_RETRY`
+     * @param {string|Function} [options.strategy] - how a single address is selected, see `AddressSelector`
+     * @param {number} [options.quarantinePeriod] - time in ms a failed address is skipped for, see `reportFailure`
+     * @param {number} [options.maxQuarantinePeriod] - upper bound (in ms) of the growing quarantine period
+     * @param {string[]|boolean} [options.search] - search domains for unqualified names, `true` means resolv.conf ones
+     * @param {number} [options.ndots] - min amount of dots in the name to query it as is before search domains
+     * @param {string} [options.resolvConf] - path to the resolv.conf file
+     * @param {boolean} [options.lookupFallback] - retry failed queries through `dns.lookup` (getaddrinfo)
+     * @param {number} [options.fallbackTtl] - time in seconds to cache addresses resolved by `dns.lookup`
+     * @param {string[]} [options.fallbackErrorCodes] - errors that trigger `dns.lookup` fallback
+     */
+    constructor(options = {}) {
+        super();
+
+        assert(_.isPlainObject(options), 'options must be an object.');
+        assert(
+            options.order === undefined ||
+                Lookup.RESULT_ORDERS.includes(options.order),
+            `order must be one of the {${Lookup.RESULT_ORDERS.join(', ')}}, '${
+                options.order
+            }' has been provided.`
+        );
+        assert(
+            options.prefetchThreshold === undefined ||
+                (options.prefetchThreshold > 0 &&
+                    options.prefetchThreshold <= 1),
+            `prefetchThreshold must be a number from 0 (exclusive) to 1. '${
+                options.prefetchThreshold
+            }' has been provided.`
+        );
+        assert(
+            options.prefetchMinHits === undefined ||
+                (_.isInteger(options.prefetchMinHits) &&
+                    options.prefetchMinHits > 0),
+            `prefetchMinHits must be a positive integer. '${
+                options.prefetchMinHits
+            }' has been provided.`
+        );
+        assert(
+            options.resolver === undefined ||
+                (_.isObject(options.resolver) &&
+                    _.isFunction(options.resolver.resolve)),
+            'resolver must be an object with resolve method.'
+        );
+        assert(
+            options.servers === undefined ||
+                (Array.isArray(options.servers) &&
+                    options.servers.length > 0 &&
+                    options.servers.every(_.isString)),
+            'servers must be not empty array of strings.'
+        );
+        assert(
+            options.localAddress === undefined ||
+                _.isString(options.localAddress) ||
+                (Array.isArray(options.localAddress) &&
+                    options.localAddress.every(_.isString)),
+            'localAddress must be a string or an array of strings.'
+        );
+        assert(
+            options.minTtl === undefined ||
+                (_.isNumber(options.minTtl) && options.minTtl >= 0),
+            `minTtl must be a non-negative number. '${
+                options.minTtl
+            }' has been provided.`
+        );
+        assert(
+            options.maxTtl === undefined ||
+                (_.isNumber(options.maxTtl) && options.maxTtl >= 0),
+            `maxTtl must be a non-negative number. '${
+                options.maxTtl
+            }' has been provided.`
+        );
+        assert(
+            options.minTtl === undefined ||
+                options.maxTtl === undefined ||
+                options.minTtl <= options.maxTtl,
+            `minTtl must be less than or equal to maxTtl. '${
+                options.minTtl
+            }' and '${options.maxTtl}' have been provided.`
+        );
+        assert(
+            options.ttlJitter === undefined ||
+                (_.isNumber(options.ttlJitter) &&
+                    options.ttlJitter >= 0 &&
+                    options.ttlJitter <= 1),
+            `ttlJitter must be a number from 0 to 1. '${
+                options.ttlJitter
+            }' has been provided.`
+        );
+        assert(
+            options.queryTimeout === undefined ||
+                (_.isInteger(options.queryTimeout) &&
+                    options.queryTimeout >= 0),
+            `queryTimeout must be a non-negative integer. '${
+                options.queryTimeout
+            }' has been provided.`
+        );
+        assert(
+            options.retry === undefined ||
+                _.isBoolean(options.retry) ||
+                _.isPlainObject(options.retry),
+            'retry must be an object or a boolean.'
+        );
+        assert(
+            !_.isPlainObject(options.retry) ||
+                options.retry.maxAttempts === undefined ||
+                (_.isInteger(options.retry.maxAttempts) &&
+                    options.retry.maxAttempts > 0),
+            `retry.maxAttempts must be a positive integer. '${options.retry &&
+                options.retry.maxAttempts}' has been provided.`
+        );
+
+        this._options = options;
+
+        const resolver = this._createResolver(options);
+
+        this._taskOptions = resolver
+            ? Object.assign({}, options, { resolver })
+            : options;
+        // Identity of the resolver becomes a part of the cache key,
+        // so answers of different DNS servers are never mixed.
+        this._resolverId = (resolver && resolver.id) || '';
+
+        this._addressCache = new AddressCache(options);
+        this._addressCache.on('evict', (key, addresses) => {
+            const { hostname, family } = this._parseKey(key);
+
+            this._forgetKey(key);
+
+            this._stats.evictions += 1;
+            this.emit('evict', hostname, family, addresses);
+        });
+        this._addressCache.on('sweep', keys => {
+            keys.forEach(key => this._forgetKey(key));
+        });
+
         this._tasksManager = new TasksManager();
+        this._hostsFile =
+            options.hostsFile === false ? null : new HostsFile(options);
+        this._specialUseDomains = new SpecialUseDomains(options);
+        this._addressSelector = new AddressSelector(options);
+        this._quarantine = new AddressQuarantine(options);
 
-        this._amountOfResolveTries = {};
+        this._hits = new Map();
+
+        this._stats = {
+            staleAnswers: 0,
+            evictions: 0,
+            prefetches: 0,
+            fallbacks: 0,
+            retries: 0,
+            quarantines: 0
+        };
+    }
+
+    /**
+     * @returns {{
+     *     staleAnswers: number,
+     *     evictions: number,
+     *     prefetches: number,
+     *     fallbacks: number,
+     *     retries: number,
+     *     quarantines: number
+     * }}
+     */
+    stats() {
+        return Object.assign({}, this._stats);
+    }
+
+    /**
+     * Stops background activity of the instance, so it can be garbage collected.
+     */
+    close() {
+        this._addressCache.close();
+    }
+
+    /**
+     * Quarantines the address, so it is skipped by lookups of the hostname while other addresses are available.
+     * Every next consecutive failure doubles the quarantine period.
+     *
+     * @param {string} hostname
+     * @param {string} address
+     * @throws {Error}
+     * @emits Lookup#quarantine hostname, address and quarantine period in ms
+     */
+    reportFailure(hostname, address) {
+        this._assertReport(hostname, address);
+
+        const period = this._quarantine.reportFailure(hostname, address);
+
+        this._stats.quarantines += 1;
+        this.emit('quarantine', hostname, address, period);
+    }
+
+    /**
+     * Releases the address from quarantine and resets its failures.
+     *
+     * @param {string} hostname
+     * @param {string} address
+     * @throws {Error}
+     */
+    reportSuccess(hostname, address) {
+        this._assertReport(hostname, address);
+
+        this._quarantine.reportSuccess(hostname, address);
+    }
+
+    /**
+     * Lists cached addresses, negative answers and in-flight resolves.
+     * TTL is the remaining time in seconds, `0` means that entry is expired and kept only to be served as stale.
+     *
+     * @returns {Array<{
+     *     hostname: string,
+     *     family: number,
+     *     addresses: Array<{address: string, family: number}>,
+     *     ttl: number,
+     *     error: Error|null,
+     *     resolving: boolean
+     * }>}
+     */
+    entries() {
+        const now = Date.now();
+        const inFlightKeys = new Set(this._tasksManager.keys());
+
+        const entries = this._addressCache.entries().map(entry => {
+            inFlightKeys.delete(entry.key);
+
+            return Object.assign(this._parseKey(entry.key), {
+                addresses: entry.addresses.map(record => {
+                    return { address: record.address, family: record.family };
+                }),
+                ttl: Math.max(Math.ceil((entry.expiredTime - now) / 1000), 0),
+                error: entry.error,
+                resolving: Boolean(this._tasksManager.find(entry.key))
+            });
+        });
+
+        inFlightKeys.forEach(key => {
+            entries.push(
+                Object.assign(this._parseKey(key), {
+                    addresses: [],
+                    ttl: 0,
+                    error: null,
+                    resolving: true
+                })
+            );
+        });
+
+        return entries;
+    }
+
+    /**
+     * Checks whether not expired addresses of the hostname are cached.
+     *
+     * @param {string} hostname
+     * @param {number} [family] - both families are checked if omitted
+     * @throws {Error}
+     * @returns {boolean}
+     */
+    has(hostname, family) {
+        return this._getFamilies(family).some(ipVersion => {
+            return this._addressCache.has(this._makeKey(hostname, ipVersion));
+        });
+    }
+
+    /**
+     * Deletes cached addresses and negative answers of the hostname, so the next lookup queries DNS server.
+     * In-flight resolves are not cancelled.
+     *
+     * @param {string} hostname
+     * @param {number} [family] - both families are deleted if omitted
+     * @throws {Error}
+     * @returns {boolean} whether anything has been deleted
+     */
+    delete(hostname, family) {
+        return this._getFamilies(family).reduce((isDeleted, ipVersion) => {
+            const key = this._makeKey(hostname, ipVersion);
+
+            this._forgetKey(key);
+
+            return this._addressCache.delete(key) || isDeleted;
+        }, false);
+    }
+
+    /**
+     * Deletes all cached addresses and negative answers.
+     */
+    clear() {
+        this._addressCache.entries().forEach(entry => {
+            this._forgetKey(entry.key);
+        });
+
+        this._addressCache.clear();
     }
 
     /**
@@ -46,6 +416,9 @@ class Lookup {
      * @param {Object} options
      * @param {number} options.family
      * @param {boolean} options.all
+     * @param {boolean} options.verbatim
+     * @param {string} options.order
+     * @param {string} options.key - key for `consistent-hash` strategy
      * @param {Function} callback
      * @throws {Error}
      * @returns {{}|undefined}
@@ -85,35 +458,285 @@ class Lookup {
             throw new Error('hostname must be a string');
         }
 
-        switch (options.family) {
-            case Lookup.IPv4:
-            case Lookup.IPv6:
-                return this._resolve(hostname, options, callback);
-            case undefined:
-                return this._resolveBoth(hostname, options, callback);
-            default:
-                throw new Error(
-                    'invalid family number, must be one of the {4, 6} or undefined'
+        if (
+            options.order !== undefined &&
+            !Lookup.RESULT_ORDERS.includes(options.order)
+        ) {
+            throw new Error(
+                `invalid order value, must be one of the {${Lookup.RESULT_ORDERS.join(
+                    ', '
+                )}} or undefined`
+            );
+        }
+
+        if (
+            options.family !== undefined &&
+            options.family !== Lookup.IPv4 &&
+            options.family !== Lookup.IPv6
+        ) {
+            throw new Error(
+                'invalid family number, must be one of the {4, 6} or undefined'
+            );
+        }
+
+        const ipLiteral = this._parseIpLiteral(hostname);
+
+        if (ipLiteral) {
+            return this._resolveStatic(
+                hostname,
+                [ipLiteral],
+                options,
+                callback
+            );
+        }
+
+        const specialUseDomain = this._specialUseDomains.match(hostname);
+
+        if (specialUseDomain) {
+            return this._resolveSpecialUseDomain(
+                hostname,
+                specialUseDomain,
+                options,
+                callback
+            );
+        }
+
+        if (options.family !== undefined) {
+            return this._resolve(hostname, options, callback);
+        }
+
+        if (this._options.race) {
+            return this._resolveRace(hostname, options, callback);
+        }
+
+        return this._resolveBoth(hostname, options, callback);
+    }
+
+    /**
+     * Promise based version of `run` method that behaves like `dns.promises.lookup`.
+     *
+     * @param {string} hostname
+     * @param {Object|number} [options]
+     * @param {number} options.family
+     * @param {boolean} options.all
+     * @returns {Promise<{address: string, family: number}|Array<{address: string, family: number}>>}
+     */
+    runAsync(hostname, options = {}) {
+        return new Promise((resolve, reject) => {
+            this.run(hostname, options, (error, address, family) => {
+                if (error) {
+                    return reject(error);
+                }
+
+                if (Array.isArray(address)) {
+                    return resolve(address);
+                }
+
+                resolve({ address, family });
+            });
+        });
+    }
+
+    /**
+     * @param {string} key
+     * @private
+     */
+    _forgetKey(key) {
+        this._hits.delete(key);
+        this._addressSelector.forget(key);
+    }
+
+    // noinspection JSMethodCanBeStatic
+    /**
+     * @param {number} [family]
+     * @throws {Error}
+     * @returns {number[]}
+     * @private
+     */
+    _getFamilies(family) {
+        if (family === undefined) {
+            return [Lookup.IPv4, Lookup.IPv6];
+        }
+
+        if (family !== Lookup.IPv4 && family !== Lookup.IPv6) {
+            throw new Error(
+                'invalid family number, must be one of the {4, 6} or undefined'
+            );
+        }
+
+        return [family];
+    }
+
+    // noinspection JSMethodCanBeStatic
+    /**
+     * @param {string} hostname
+     * @param {string} address
+     * @throws {Error}
+     * @private
+     */
+    _assertReport(hostname, address) {
+        if (!hostname || !_.isString(hostname)) {
+            throw new Error('hostname must be a not empty string');
+        }
+
+        if (!net.isIP(address)) {
+            throw new Error('address must be an IP address');
+        }
+    }
+
+    /**
+     * Resolves hostnames in advance, so their addresses are cached before the first lookups.
+     * Never rejects because of resolve errors, they are reported per hostname.
+     *
+     * @param {string[]} hostnames
+     * @param {Object} [options]
+     * @param {number} [options.family] - both families are resolved if omitted
+     * @returns {Promise<Array<{
+     *     hostname: string,
+     *     addresses: Array<{address: string, family: number}>|undefined,
+     *     error: Error|undefined
+     * }>>}
+     */
+    warm(hostnames, options = {}) {
+        if (!Array.isArray(hostnames) || !hostnames.every(_.isString)) {
+            return Promise.reject(
+                new Error('hostnames must be an array of strings')
+            );
+        }
+
+        try {
+            this._getFamilies(options.family);
+        } catch (error) {
+            return Promise.reject(error);
+        }
+
+        return Promise.all(
+            hostnames.map(hostname => {
+                return this.runAsync(hostname, {
+                    family: options.family,
+                    all: true
+                }).then(
+                    addresses => ({ hostname, addresses }),
+                    error => ({ hostname, error })
                 );
+            })
+        );
+    }
+
+    // noinspection JSMethodCanBeStatic
+    /**
+     * Detects IPv4/IPv6 addresses passed instead of hostname, including bracketed (`[::1]`)
+     * and zone-scoped (`fe80::1%eth0`) IPv6 addresses.
+     *
+     * @param {string} hostname
+     * @returns {{address: string, family: number}|undefined}
+     * @private
+     */
+    _parseIpLiteral(hostname) {
+        let address = hostname;
+
+        if (address.startsWith('[') && address.endsWith(']')) {
+            // Zone identifier is percent-encoded within URLs (RFC 6874).
+            address = address.slice(1, -1).replace('%25', '%');
+        }
+
+        if (net.isIPv4(address)) {
+            return { address, family: Lookup.IPv4 };
+        }
+
+        const [ip, zone] = address.split('%');
+
+        if (net.isIPv6(ip) && zone !== '') {
+            return { address, family: Lookup.IPv6 };
         }
     }
 
     /**
+     * Answers with addresses that are known without DNS queries (IP addresses, loopback for `localhost`)
+     * and never cached. Addresses are expected to be sorted according to the result order.
+     *
      * @param {string} hostname
+     * @param {Array<{address: string, family: number}>} records
      * @param {Object} options
      * @param {number} options.family
      * @param {boolean} options.all
      * @param {Function} callback
+     * @returns {{}}
      * @private
      */
-    _resolve(hostname, options, callback) {
-        this._amountOfResolveTries[hostname] =
-            this._amountOfResolveTries[hostname] || 0;
+    _resolveStatic(hostname, records, options, callback) {
+        const result = records
+            .filter(record => {
+                return !options.family || options.family === record.family;
+            })
+            .map(record => {
+                return { address: record.address, family: record.family };
+            });
+
+        if (_.isEmpty(result)) {
+            let syscall;
 
+            if (options.family) {
+                syscall =
+                    options.family === Lookup.IPv4 ? 'queryA' : 'queryAaaa';
+            }
+
+            process.nextTick(
+                callback,
+                this._makeNotFoundError(hostname, syscall)
+            );
+        } else if (options.all) {
+            process.nextTick(callback, null, result);
+        } else {
+            process.nextTick(
+                callback,
+                null,
+                result[0].address,
+                result[0].family
+            );
+        }
+
+        return {};
+    }
+
+    /**
+     * @param {string} hostname
+     * @param {string} domain - special-use domain that hostname belongs to
+     * @param {Object} options
+     * @param {number} options.family
+     * @param {boolean} options.all
+     * @param {Function} callback
+     * @returns {{}}
+     * @private
+     */
+    _resolveSpecialUseDomain(hostname, domain, options, callback) {
+        if (domain !== SpecialUseDomains.LOCALHOST) {
+            return this._resolveStatic(hostname, [], options, callback);
+        }
+
+        const records = [
+            { address: '127.0.0.1', family: Lookup.IPv4 },
+            { address: '::1', family: Lookup.IPv6 }
+        ];
+
+        if (this._getFamilyOrder(options)[0] === Lookup.IPv6) {
+            records.reverse();
+        }
+
+        return this._resolveStatic(hostname, records, options, callback);
+    }
+
+    /**
+     * @param {string} hostname
+     * @param {Object} options
+     * @param {number} options.family
+     * @param {boolean} options.all
+     * @param {Function} callback
+     * @private
+     */
+    _resolve(hostname, options, callback) {
         this._innerResolve(hostname, options.family, (error, records) => {
             if (error) {
-                this._amountOfResolveTries[hostname] = 0;
-
                 if (error.code === dns.NODATA) {
                     return callback(
                         this._makeNotFoundError(hostname, error.syscall)
@@ -123,34 +746,9 @@ class Lookup {
                 return callback(error);
             }
 
-            // Corner case branch.
-            //
-            // Intensively calling `lookup` method in parallel can produce situations
-            // when DNS TTL for particular IP has been exhausted,
-            // but task queue within NodeJS is full of `resolved` callbacks.
-            // No way to skip them or update DNS cache before them.
-            //
-            // So the work around is return undefined for that callbacks and client code should repeat `lookup` call.
-            if (!records) {
-                if (
-                    this._amountOfResolveTries[hostname] >=
-                    Lookup.MAX_AMOUNT_OF_RESOLVE_TRIES
-                ) {
-                    this._amountOfResolveTries[hostname] = 0;
-
-                    return callback(
-                        new Error(
-                            `Cannot resolve host '${hostname}'. Too deep recursion.`
-                        )
-                    );
-                }
-
-                this._amountOfResolveTries[hostname] += 1;
-
-                return this._resolve(hostname, options, callback);
-            }
-
-            this._amountOfResolveTries[hostname] = 0;
+            // Records are the snapshot taken when the cache has been hit or the query has been answered,
+            // so they are used even if their TTL has expired in the meantime.
+            records = this._quarantine.filter(hostname, records || []);
 
             if (options.all) {
                 const result = records.map(record => {
@@ -171,7 +769,18 @@ class Lookup {
                     return callback(error);
                 }
 
-                const record = rr(records);
+                let record;
+
+                // Custom strategy is the user code, its failure is passed to the caller like resolve error.
+                try {
+                    record = this._addressSelector.select(
+                        this._makeKey(hostname, options.family),
+                        records,
+                        { hostname, family: options.family, key: options.key }
+                    );
+                } catch (error) {
+                    return callback(error);
+                }
 
                 return callback(null, record.address, record.family);
             }
@@ -185,11 +794,30 @@ class Lookup {
      * @private
      */
     _innerResolve(hostname, ipVersion, callback) {
-        const key = `${hostname}_${ipVersion}`;
+        if (this._hostsFile) {
+            const hostsFileAddresses = this._hostsFile.find(
+                hostname,
+                ipVersion
+            );
+
+            if (hostsFileAddresses) {
+                setImmediate(() => {
+                    callback(null, hostsFileAddresses);
+                });
+
+                return;
+            }
+        }
+
+        const key = this._makeKey(hostname, ipVersion);
 
         const cachedAddresses = this._addressCache.find(key);
 
         if (cachedAddresses) {
+            if (this._options.prefetch) {
+                this._prefetch(hostname, ipVersion, key, cachedAddresses);
+            }
+
             setImmediate(() => {
                 callback(null, cachedAddresses);
             });
@@ -197,17 +825,162 @@ class Lookup {
             return;
         }
 
+        if (this._options.negativeTtl > 0) {
+            const negativeError = this._addressCache.findNegative(key);
+
+            if (negativeError) {
+                setImmediate(() => {
+                    callback(negativeError);
+                });
+
+                return;
+            }
+        }
+
+        if (this._options.staleWhileRevalidate > 0) {
+            const staleAddresses = this._addressCache.findStale(
+                key,
+                this._options.staleWhileRevalidate
+            );
+
+            if (staleAddresses) {
+                this._runResolveTask(hostname, ipVersion, key, _.noop);
+
+                setImmediate(() => {
+                    callback(null, staleAddresses);
+                });
+
+                return;
+            }
+        }
+
+        if (this._options.serveStale > 0) {
+            callback = this._serveStaleOnFailure(
+                hostname,
+                ipVersion,
+                key,
+                callback
+            );
+        }
+
+        this._runResolveTask(hostname, ipVersion, key, callback);
+    }
+
+    /**
+     * Counts cache hits and refreshes addresses in background
+     * if they are hot and most of their TTL has elapsed, so hot hostnames never see a cache miss.
+     *
+     * @param {string} hostname
+     * @param {number} ipVersion
+     * @param {string} key
+     * @param {Address[]} addresses
+     * @emits Lookup#prefetch hostname and ip version of the refreshed addresses
+     * @private
+     */
+    _prefetch(hostname, ipVersion, key, addresses) {
+        const hits = (this._hits.get(key) || 0) + 1;
+
+        this._hits.set(key, hits);
+
+        const minHits =
+            this._options.prefetchMinHits || Lookup.DEFAULT_PREFETCH_MIN_HITS;
+        const threshold =
+            this._options.prefetchThreshold ||
+            Lookup.DEFAULT_PREFETCH_THRESHOLD;
+
+        if (hits < minHits || this._tasksManager.find(key)) {
+            return;
+        }
+
+        const now = Date.now();
+
+        const isCloseToExpiration = addresses.some(address => {
+            const ttl = address.expiredTime - address.resolvedTime;
+
+            return now - address.resolvedTime >= ttl * threshold;
+        });
+
+        if (!isCloseToExpiration) {
+            return;
+        }
+
+        // Refreshed addresses start new TTL, so they have to become hot again.
+        this._hits.delete(key);
+
+        this._stats.prefetches += 1;
+        this.emit('prefetch', hostname, ipVersion);
+
+        this._runResolveTask(hostname, ipVersion, key, _.noop);
+    }
+
+    /**
+     * Wraps callback to answer with last known addresses if DNS server fails.
+     *
+     * @param {string} hostname
+     * @param {number} ipVersion
+     * @param {string} key
+     * @param {Function} callback
+     * @returns {Function}
+     * @emits Lookup#stale hostname, ip version and error of the failed resolve
+     * @private
+     */
+    _serveStaleOnFailure(hostname, ipVersion, key, callback) {
+        return (error, addresses) => {
+            if (error && Lookup.SERVE_STALE_ERROR_CODES.includes(error.code)) {
+                const staleAddresses = this._addressCache.findStale(
+                    key,
+                    this._options.serveStale
+                );
+
+                if (staleAddresses) {
+                    this._stats.staleAnswers += 1;
+                    this.emit('stale', hostname, ipVersion, error);
+
+                    return callback(null, staleAddresses);
+                }
+            }
+
+            callback(error, addresses);
+        };
+    }
+
+    /**
+     * Joins in-flight resolve task for particular key or runs the new one.
+     *
+     * @param {string} hostname
+     * @param {number} ipVersion
+     * @param {string} key
+     * @param {Function} callback
+     * @private
+     */
+    _runResolveTask(hostname, ipVersion, key, callback) {
         let task = this._tasksManager.find(key);
 
         if (task) {
             task.addResolvedCallback(callback);
         } else {
-            task = new ResolveTask(hostname, ipVersion);
+            task = new ResolveTask(hostname, ipVersion, this._taskOptions);
 
             this._tasksManager.add(key, task);
 
             task.on('addresses', addresses => {
                 this._addressCache.set(key, addresses);
+                // Hits are counted during the TTL of the cached addresses only.
+                this._hits.delete(key);
+
+                if (_.some(addresses, { source: 'lookup' })) {
+                    this._stats.fallbacks += 1;
+                    this.emit('fallback', hostname, ipVersion);
+                }
+            });
+
+            task.on('retry', (error, attempt) => {
+                this._stats.retries += 1;
+                this.emit('retry', hostname, ipVersion, error, attempt);
+            });
+
+            task.on('negative', (error, expiredTime) => {
+                this._addressCache.setNegative(key, error, expiredTime);
             });
 
             task.on('done', () => {
@@ -228,36 +1001,47 @@ class Lookup {
      * @private
      */
     _resolveBoth(hostname, options, callback) {
+        const familyOrder = this._getFamilyOrder(options);
+
+        const resolveTask = family => {
+            return this._resolveTaskBuilder(
+                hostname,
+                Object.assign({}, options, { family })
+            );
+        };
+
         async.parallel(
-            [
-                this._resolveTaskBuilder(
-                    hostname,
-                    Object.assign({}, options, { family: Lookup.IPv4 })
-                ),
-                this._resolveTaskBuilder(
-                    hostname,
-                    Object.assign({}, options, { family: Lookup.IPv6 })
-                )
-            ],
+            [resolveTask(Lookup.IPv4), resolveTask(Lookup.IPv6)],
             (error, records) => {
                 if (error) {
                     return callback(error);
                 }
 
-                const [ipv4records, ipv6records] = records;
+                const families = familyOrder.map(family => {
+                    return family === Lookup.IPv4 ? records[0] : records[1];
+                });
 
                 if (options.all) {
-                    const result = ipv4records.concat(ipv6records);
+                    // Each family falls back to its quarantined addresses, the healthy ones of the other family win.
+                    const result = this._quarantine.filter(
+                        hostname,
+                        [].concat(...families)
+                    );
 
                     if (_.isEmpty(result)) {
                         return callback(this._makeNotFoundError(hostname));
                     }
 
                     return callback(null, result);
-                } else if (!_.isEmpty(ipv4records)) {
-                    return callback(null, ...ipv4records);
-                } else if (!_.isEmpty(ipv6records)) {
-                    return callback(null, ...ipv6records);
+                }
+
+                const familyRecords = this._findHealthyFamily(
+                    hostname,
+                    families
+                );
+
+                if (familyRecords) {
+                    return callback(null, ...familyRecords);
                 }
 
                 return callback(this._makeNotFoundError(hostname));
@@ -265,6 +1049,192 @@ class Lookup {
         );
     }
 
+    /**
+     * @param {string} hostname
+     * @param {Array<Array>} families - address and family of each family or empty array, in result order
+     * @returns {Array|undefined} first family with not quarantined address, first not empty family otherwise
+     * @private
+     */
+    _findHealthyFamily(hostname, families) {
+        const resolvedFamilies = families.filter(
+            recordsOfFamily => !_.isEmpty(recordsOfFamily)
+        );
+
+        return (
+            resolvedFamilies.find(
+                ([address]) =>
+                    !this._quarantine.isQuarantined(hostname, address)
+            ) || resolvedFamilies[0]
+        );
+    }
+
+    /**
+     * Happy Eyeballs (RFC 8305, section 3) version of `_resolveBoth` method.
+     * Answers as soon as the preferred family has been resolved,
+     * or after resolution delay if the other family has been resolved first.
+     *
+     * @param {string} hostname
+     * @param {Object} options
+     * @param {boolean} options.all
+     * @param {Function} callback
+     * @private
+     */
+    _resolveRace(hostname, options, callback) {
+        const preferredFamily = this._getFamilyOrder(options)[0];
+        const resolutionDelay = _.isNumber(this._options.resolutionDelay)
+            ? this._options.resolutionDelay
+            : Lookup.DEFAULT_RESOLUTION_DELAY;
+
+        const results = [];
+
+        let finished = false;
+        let timer = null;
+
+        const finish = () => {
+            if (finished) {
+                return;
+            }
+
+            finished = true;
+            clearTimeout(timer);
+
+            const resolved = results.filter(
+                result => !result.error && !_.isEmpty(result.records)
+            );
+
+            resolved.sort((a, b) => {
+                return (
+                    (b.family === preferredFamily) -
+                    (a.family === preferredFamily)
+                );
+            });
+
+            if (_.isEmpty(resolved)) {
+                const failed = results.find(result => result.error);
+
+                return callback(
+                    failed ? failed.error : this._makeNotFoundError(hostname)
+                );
+            }
+
+            const families = resolved.map(result => result.records);
+
+            if (options.all) {
+                return callback(
+                    null,
+                    this._quarantine.filter(hostname, [].concat(...families))
+                );
+            }
+
+            return callback(
+                null,
+                ...this._findHealthyFamily(hostname, families)
+            );
+        };
+
+        // Quarantined answer of the preferred family waits for the other family like a missing one.
+        const isHealthy = records => {
+            const recordsAddresses = options.all
+                ? records.map(record => record.address)
+                : [records[0]];
+
+            return recordsAddresses.some(address => {
+                return !this._quarantine.isQuarantined(hostname, address);
+            });
+        };
+
+        [Lookup.IPv4, Lookup.IPv6].forEach(family => {
+            const task = this._resolveTaskBuilder(
+                hostname,
+                Object.assign({}, options, { family })
+            );
+
+            task((error, ...args) => {
+                if (finished) {
+                    return;
+                }
+
+                // Same shape as `async.parallel` collects results: address and family or array of records.
+                const records = args.length > 1 ? args : args[0];
+
+                results.push({ family, error, records });
+
+                if (results.length === 2) {
+                    return finish();
+                }
+
+                if (error || _.isEmpty(records)) {
+                    return;
+                }
+
+                if (family === preferredFamily && isHealthy(records)) {
+                    return finish();
+                }
+
+                timer = setTimeout(finish, resolutionDelay);
+            });
+        });
+    }
+
+    /**
+     * Picks order of IPv4 and IPv6 addresses the same way as `dns.lookup` does:
+     * `order` option, `verbatim` option, instance default and process-wide default.
+     * Deliberate deviation: process-wide `verbatim` is ignored and `DEFAULT_ORDER` is used instead.
+     * It is the process-wide default since NodeJS 17, so it cannot be told apart from the callers
+     * that have not chosen the order and keep relying on IPv4 addresses going first.
+     *
+     * @param {Object} options
+     * @param {boolean} [options.verbatim]
+     * @param {string} [options.order]
+     * @returns {string}
+     * @private
+     */
+    _getResultOrder(options) {
+        if (options.order !== undefined) {
+            return options.order;
+        }
+
+        if (_.isBoolean(options.verbatim)) {
+            return options.verbatim ? 'verbatim' : 'ipv4first';
+        }
+
+        if (this._options.order !== undefined) {
+            return this._options.order;
+        }
+
+        if (_.isFunction(dns.getDefaultResultOrder)) {
+            const defaultOrder = dns.getDefaultResultOrder();
+
+            if (
+                defaultOrder !== 'verbatim' &&
+                Lookup.RESULT_ORDERS.includes(defaultOrder)
+            ) {
+                return defaultOrder;
+            }
+        }
+
+        return Lookup.DEFAULT_ORDER;
+    }
+
+    /**
+     * IPv4 and IPv6 addresses are resolved by separate queries, so there is no resolver order to keep.
+     * `verbatim` order prefers IPv6 like the default policy table of RFC 6724 does,
+     * so the answer never depends on which query has been answered first.
+     *
+     * @param {Object} options
+     * @param {boolean} [options.verbatim]
+     * @param {string} [options.order]
+     * @returns {number[]} families in result order
+     * @private
+     */
+    _getFamilyOrder(options) {
+        if (this._getResultOrder(options) === 'ipv4first') {
+            return [Lookup.IPv4, Lookup.IPv6];
+        }
+
+        return [Lookup.IPv6, Lookup.IPv4];
+    }
+
     /**
      * @param {string} hostname
      * @param {Object} options
@@ -287,6 +1257,77 @@ class Lookup {
         };
     }
 
+    // noinspection JSMethodCanBeStatic
+    /**
+     * Creates backend with own `dns.Resolver` if any of its settings is passed and wraps it
+     * with search domains and `dns.lookup` fallback if needed, otherwise resolve tasks use global `dns` methods.
+     *
+     * @param {Object} options
+     * @returns {{resolve: Function}|null}
+     * @private
+     */
+    _createResolver(options) {
+        const { servers, localAddress, timeout, tries } = options;
+
+        let resolver = options.resolver || null;
+
+        if (
+            !resolver &&
+            (servers !== undefined ||
+                localAddress !== undefined ||
+                timeout !== undefined ||
+                tries !== undefined)
+        ) {
+            resolver = new ResolverBackend(options);
+        }
+
+        if (options.search) {
+            resolver = new SearchBackend(resolver || new DnsBackend(), options);
+        }
+
+        if (options.lookupFallback) {
+            resolver = new FallbackBackend(
+                resolver || new DnsBackend(),
+                options
+            );
+        }
+
+        return resolver;
+    }
+
+    /**
+     * @param {string} hostname
+     * @param {number} ipVersion
+     * @returns {string}
+     * @private
+     */
+    _makeKey(hostname, ipVersion) {
+        const key = `${hostname}_${ipVersion}`;
+
+        return this._resolverId ? `${key}@${this._resolverId}` : key;
+    }
+
+    // noinspection JSMethodCanBeStatic
+    /**
+     * @param {string} key
+     * @returns {{hostname: string, family: number}}
+     * @private
+     */
+    _parseKey(key) {
+        const resolverIdIndex = key.indexOf('@');
+
+        if (resolverIdIndex !== -1) {
+            key = key.slice(0, resolverIdIndex);
+        }
+
+        const separatorIndex = key.lastIndexOf('_');
+
+        return {
+            hostname: key.slice(0, separatorIndex),
+            family: Number(key.slice(separatorIndex + 1))
+        };
+    }
+
     // noinspection JSMethodCanBeStatic
     /**
      * @param {string} hostname
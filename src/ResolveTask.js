@@ -5,15 +5,20 @@
  * @property {string} address - IPv4 or IPv6 address
  * @property {number} ttl - IP DNS TTL
  * @property {number} family - IP family
+ * @property {number} resolvedTime - resolution timestamp
  * @property {number} expiredTime - DNS TTL expiration timestamp
+ * @property {string} [source] - `lookup` if address has been resolved by `dns.lookup` fallback
  */
 
 const assert = require('assert');
 const dns = require('dns');
 const { EventEmitter } = require('events');
+const net = require('net');
 
 const _ = require('lodash');
 
+const DnsBackend = require('./DnsBackend');
+
 class ResolveTask extends EventEmitter {
     /**
      * @returns {number}
@@ -29,11 +34,43 @@ class ResolveTask extends EventEmitter {
         return 6;
     }
 
+    /**
+     * Errors that mean the hostname has no addresses (NXDOMAIN and NODATA answers).
+     *
+     * @returns {string[]}
+     */
+    static get NEGATIVE_ERROR_CODES() {
+        return [dns.NOTFOUND, dns.NODATA];
+    }
+
+    /**
+     * Retry policy used when `retry` option is `true`, its fields can be overridden by the `retry` object.
+     *
+     * @returns {{maxAttempts: number, baseDelay: number, factor: number, jitter: number, codes: string[]}}
+     */
+    static get DEFAULT_RETRY() {
+        return {
+            maxAttempts: 3,
+            baseDelay: 100,
+            factor: 2,
+            jitter: 0.2,
+            codes: [dns.TIMEOUT, dns.SERVFAIL, dns.CONNREFUSED, dns.REFUSED]
+        };
+    }
+
     /**
      * @param {string} hostname
      * @param {number} ipVersion
+     * @param {Object} [options] - instance options of `Lookup`, validated by its constructor
+     * @param {number} [options.negativeTtl] - time in seconds to cache NXDOMAIN/NODATA answers
+     * @param {number} [options.minTtl] - lower bound (in seconds) of the DNS TTL used for caching
+     * @param {number} [options.maxTtl] - upper bound (in seconds) of the DNS TTL used for caching
+     * @param {number} [options.ttlJitter] - max fraction (from 0 to 1) the TTL is randomly reduced by
+     * @param {{resolve: Function}} [options.resolver] - resolver backend, `DnsBackend` is used if omitted
+     * @param {number} [options.queryTimeout] - time in ms after which the query is cancelled and the task fails
+     * @param {Object|boolean} [options.retry] - retry policy for transient errors, see `DEFAULT_RETRY`
      */
-    constructor(hostname, ipVersion) {
+    constructor(hostname, ipVersion, options = {}) {
         super();
 
         assert(
@@ -49,8 +86,17 @@ class ResolveTask extends EventEmitter {
         this._callbacks = [];
         this._hostname = hostname;
         this._ipVersion = ipVersion;
-        this._resolver =
-            ipVersion === ResolveTask.IPv4 ? dns.resolve4 : dns.resolve6;
+        this._options = options;
+
+        this._resolver = options.resolver || new DnsBackend();
+
+        this._retry = this._makeRetryPolicy(options.retry);
+
+        this._query = null;
+        this._timer = null;
+        this._retryTimer = null;
+        this._attempts = 0;
+        this._isDone = false;
 
         this._resolved = this._resolved.bind(this);
     }
@@ -63,28 +109,186 @@ class ResolveTask extends EventEmitter {
     }
 
     run() {
-        this._resolver(this._hostname, { ttl: true }, this._resolved);
+        const queryTimeout = this._options.queryTimeout;
+
+        if (queryTimeout > 0) {
+            this._timer = setTimeout(() => this._timedOut(), queryTimeout);
+        }
+
+        this._runAttempt();
+    }
+
+    /**
+     * @private
+     */
+    _runAttempt() {
+        this._attempts += 1;
+        this._query = null;
+
+        // Executor runs synchronously, so the query can be cancelled right away,
+        // and misbehaving backend fails the task instead of leaving it unresolved forever.
+        new Promise(resolve => {
+            this._query = this._resolver.resolve(
+                this._hostname,
+                this._ipVersion,
+                { cancellable: this._options.queryTimeout > 0 }
+            );
+
+            assert(
+                _.isObject(this._query) && _.isFunction(this._query.then),
+                'resolver must return a promise.'
+            );
+
+            resolve(this._query);
+        })
+            .then(addresses => this._validateAddresses(addresses))
+            .then(
+                addresses => this._resolved(null, addresses),
+                error => this._failed(error)
+            );
+    }
+
+    // noinspection JSMethodCanBeStatic
+    /**
+     * @param {*} addresses - answer of the resolver backend
+     * @throws {Error}
+     * @returns {Address[]}
+     * @private
+     */
+    _validateAddresses(addresses) {
+        assert(
+            Array.isArray(addresses) &&
+                addresses.every(record => {
+                    return (
+                        _.isObject(record) &&
+                        net.isIP(record.address) !== 0 &&
+                        _.isFinite(record.ttl) &&
+                        record.ttl >= 0
+                    );
+                }),
+            'resolver must resolve with an array of {address, ttl} objects.'
+        );
+
+        return addresses;
+    }
+
+    /**
+     * Schedules next attempt for transient errors, so callers see only the final result.
+     *
+     * @param {Error} error
+     * @emits ResolveTask#retry error, number of the failed attempt and delay in ms before the next one
+     * @private
+     */
+    _failed(error) {
+        if (
+            this._isDone ||
+            !this._retry ||
+            !this._retry.codes.includes(error.code) ||
+            this._attempts >= this._retry.maxAttempts
+        ) {
+            return this._resolved(error);
+        }
+
+        const delay = this._getRetryDelay();
+
+        this.emit('retry', error, this._attempts, delay);
+
+        this._retryTimer = setTimeout(() => this._runAttempt(), delay);
+    }
+
+    // noinspection JSMethodCanBeStatic
+    /**
+     * @param {Object|boolean} [retry]
+     * @returns {Object|null}
+     * @private
+     */
+    _makeRetryPolicy(retry) {
+        if (!retry) {
+            return null;
+        }
+
+        const overrides = _.isPlainObject(retry) ? retry : {};
+
+        return Object.assign({}, ResolveTask.DEFAULT_RETRY, overrides);
+    }
+
+    /**
+     * @returns {number}
+     * @private
+     */
+    _getRetryDelay() {
+        const { baseDelay, factor, jitter } = this._retry;
+
+        const delay = baseDelay * Math.pow(factor, this._attempts - 1);
+
+        return Math.round(delay * (1 - Math.random() * jitter));
+    }
+
+    /**
+     * Fails the task with ETIMEOUT error and cancels the query, so the next caller creates a new task.
+     * Timeout limits the whole task including retries.
+     *
+     * @private
+     */
+    _timedOut() {
+        if (this._query && _.isFunction(this._query.cancel)) {
+            this._query.cancel();
+        }
+
+        const syscall =
+            this._ipVersion === ResolveTask.IPv4 ? 'queryA' : 'queryAaaa';
+        const error = new Error(`${syscall} ${dns.TIMEOUT} ${this._hostname}`);
+
+        error.hostname = this._hostname;
+        error.code = dns.TIMEOUT;
+        error.errno = dns.TIMEOUT;
+        error.syscall = syscall;
+
+        this._resolved(error);
     }
 
     /**
      * @param {Error} error
      * @param {Address[]} addresses
      * @emits ResolveTask#addresses array of addresses
+     * @emits ResolveTask#negative error and expiration timestamp of the negative answer
      * @emits ResolveTask#done notification about completion
      * @private
      */
     _resolved(error, addresses) {
+        // Late answer of the timed out query.
+        if (this._isDone) {
+            return;
+        }
+
         assert(this._callbacks.length > 0, 'callbacks array cannot be empty.');
 
+        clearTimeout(this._timer);
+        clearTimeout(this._retryTimer);
+
         if (!error) {
             assert(Array.isArray(addresses), 'addresses must be an array.');
 
+            const random = Math.random();
+            const now = Date.now();
+
             addresses.forEach(address => {
                 address.family = this._ipVersion;
-                address.expiredTime = Date.now() + address.ttl * 1000;
+                address.resolvedTime = now;
+                address.expiredTime =
+                    now + this._jitterTtl(address.ttl, random) * 1000;
             });
 
             this.emit('addresses', addresses);
+        } else if (
+            this._options.negativeTtl > 0 &&
+            ResolveTask.NEGATIVE_ERROR_CODES.includes(error.code)
+        ) {
+            this.emit(
+                'negative',
+                error,
+                Date.now() + this._options.negativeTtl * 1000
+            );
         }
 
         this._callbacks.forEach(callback => {
@@ -92,9 +296,45 @@ class ResolveTask extends EventEmitter {
         });
 
         this._callbacks = [];
+        this._isDone = true;
 
         this.emit('done');
     }
+
+    /**
+     * Reduces the clamped TTL by up to `ttlJitter` fraction of it. The range is shifted up if it crosses `minTtl`,
+     * so TTL raised to `minTtl` is spread as well and the result stays within the bounds.
+     *
+     * @param {number} ttl
+     * @param {number} random - number from 0 to 1, the same one for all the addresses of the answer
+     * @returns {number}
+     * @private
+     */
+    _jitterTtl(ttl, random) {
+        const clampedTtl = this._clampTtl(ttl);
+        const spread = clampedTtl * (this._options.ttlJitter || 0);
+
+        const lowerTtl = this._clampTtl(clampedTtl - spread);
+        const upperTtl = this._clampTtl(lowerTtl + spread);
+
+        return upperTtl - random * (upperTtl - lowerTtl);
+    }
+
+    /**
+     * @param {number} ttl
+     * @returns {number}
+     * @private
+     */
+    _clampTtl(ttl) {
+        const minTtl = _.isNumber(this._options.minTtl)
+            ? this._options.minTtl
+            : 0;
+        const maxTtl = _.isNumber(this._options.maxTtl)
+            ? this._options.maxTtl
+            : Infinity;
+
+        return Math.min(Math.max(ttl, minTtl), maxTtl);
+    }
 }
 
 module.exports = ResolveTask;
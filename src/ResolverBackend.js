@@ -0,0 +1,41 @@
+'use strict';
+
+const _ = require('lodash');
+
+const DnsBackend = require('./DnsBackend');
+
+/**
+ * Resolver backend that uses own `dns.Resolver`, so DNS servers can be chosen without `dns.setServers`
+ * that affects the whole process.
+ */
+class ResolverBackend extends DnsBackend {
+    /**
+     * @param {Object} [options]
+     * @param {string[]} [options.servers] - DNS servers, see `resolver.setServers`
+     * @param {string|string[]} [options.localAddress] - IPv4 and/or IPv6 address queries are sent from
+     * @param {number} [options.timeout] - query timeout in ms
+     * @param {number} [options.tries] - amount of tries for each name server
+     */
+    constructor(options = {}) {
+        super(null, _.pick(options, ['localAddress', 'timeout', 'tries']));
+
+        this._dnsResolver = this._createDnsResolver(options.servers);
+    }
+
+    /**
+     * Identity of the resolver, it becomes a part of the cache key,
+     * so answers of different DNS servers are never mixed.
+     *
+     * @returns {string}
+     */
+    get id() {
+        const servers = this._dnsResolver.getServers().join(',');
+        const localAddress = _.castArray(
+            this._settings.localAddress || []
+        ).join(',');
+
+        return localAddress ? `${servers}/${localAddress}` : servers;
+    }
+}
+
+module.exports = ResolverBackend;
@@ -0,0 +1,225 @@
+'use strict';
+
+const assert = require('assert');
+const dns = require('dns');
+const fs = require('fs');
+
+const _ = require('lodash');
+
+/**
+ * Resolver backend wrapper that expands unqualified names across search domains
+ * the same way the system resolver does (see `search` and `ndots` in resolv.conf(5)).
+ */
+class SearchBackend {
+    /**
+     * @returns {string}
+     */
+    static get DEFAULT_RESOLV_CONF() {
+        return '/etc/resolv.conf';
+    }
+
+    /**
+     * @returns {number}
+     */
+    static get DEFAULT_NDOTS() {
+        return 1;
+    }
+
+    /**
+     * Errors that mean the name does not exist, so the next candidate is tried.
+     *
+     * @returns {string[]}
+     */
+    static get NEXT_CANDIDATE_ERROR_CODES() {
+        return [dns.NOTFOUND, dns.NODATA];
+    }
+
+    /**
+     * @param {{resolve: Function}} backend - wrapped resolver backend
+     * @param {Object} [options]
+     * @param {string[]|boolean} [options.search] - search domains, `true` means the ones from resolv.conf
+     * @param {number} [options.ndots] - min amount of dots in the name to query it as is first,
+     * the one from resolv.conf is used if omitted
+     * @param {string} [options.resolvConf] - path to the resolv.conf file
+     */
+    constructor(backend, options = {}) {
+        assert(
+            _.isBoolean(options.search) ||
+                (Array.isArray(options.search) &&
+                    options.search.every(_.isString)),
+            'search must be a boolean or an array of strings.'
+        );
+        assert(
+            options.ndots === undefined ||
+                (_.isInteger(options.ndots) && options.ndots >= 0),
+            `ndots must be a non-negative integer. '${
+                options.ndots
+            }' has been provided.`
+        );
+
+        this._backend = backend;
+        this._options = options;
+
+        this._domains = null;
+        this._ndots = null;
+    }
+
+    /**
+     * @returns {string|undefined}
+     */
+    get id() {
+        return this._backend.id;
+    }
+
+    /**
+     * @param {string} hostname
+     * @param {number} family
+     * @param {Object} [options] - passed to the wrapped backend
+     * @returns {Promise<Array<{address: string, ttl: number}>>}
+     */
+    resolve(hostname, family, options = {}) {
+        const candidates = this._getCandidates(hostname);
+
+        let originalError = null;
+        let query = null;
+        let isCancelled = false;
+
+        const resolveCandidate = index => {
+            const candidate = candidates[index];
+
+            query = this._backend.resolve(candidate, family, options);
+
+            return query.catch(error => {
+                if (
+                    isCancelled ||
+                    !SearchBackend.NEXT_CANDIDATE_ERROR_CODES.includes(
+                        error.code
+                    )
+                ) {
+                    throw error;
+                }
+
+                if (candidate === hostname) {
+                    originalError = error;
+                }
+
+                if (index === candidates.length - 1) {
+                    throw originalError || error;
+                }
+
+                return resolveCandidate(index + 1);
+            });
+        };
+
+        const promise = resolveCandidate(0);
+
+        if (options.cancellable) {
+            promise.cancel = () => {
+                isCancelled = true;
+
+                if (_.isFunction(query.cancel)) {
+                    query.cancel();
+                }
+            };
+        }
+
+        return promise;
+    }
+
+    /**
+     * @param {string} hostname
+     * @returns {string[]} names to query in order
+     * @private
+     */
+    _getCandidates(hostname) {
+        // Fully qualified name is never expanded.
+        if (hostname.endsWith('.')) {
+            return [hostname.slice(0, -1)];
+        }
+
+        if (this._domains === null) {
+            this._load();
+        }
+
+        const expandedNames = this._domains.map(
+            domain => `${hostname}.${domain}`
+        );
+        const dots = hostname.split('.').length - 1;
+
+        if (dots >= this._ndots) {
+            return [hostname, ...expandedNames];
+        }
+
+        return [...expandedNames, hostname];
+    }
+
+    /**
+     * Reads search domains and ndots from resolv.conf unless they are passed explicitly.
+     * The file is read synchronously and only once, like the system resolver does.
+     *
+     * @private
+     */
+    _load() {
+        let resolvConf = { domains: [], ndots: SearchBackend.DEFAULT_NDOTS };
+
+        if (
+            this._options.search === true ||
+            this._options.ndots === undefined
+        ) {
+            resolvConf = this._readResolvConf();
+        }
+
+        this._domains = Array.isArray(this._options.search)
+            ? this._options.search
+            : resolvConf.domains;
+        this._ndots = _.isNumber(this._options.ndots)
+            ? this._options.ndots
+            : resolvConf.ndots;
+    }
+
+    /**
+     * @returns {{domains: string[], ndots: number}}
+     * @private
+     */
+    _readResolvConf() {
+        const result = { domains: [], ndots: SearchBackend.DEFAULT_NDOTS };
+
+        let content;
+
+        try {
+            content = fs.readFileSync(
+                this._options.resolvConf || SearchBackend.DEFAULT_RESOLV_CONF,
+                'utf8'
+            );
+        } catch (error) {
+            return result;
+        }
+
+        content.split(/\r?\n/).forEach(line => {
+            const [keyword, ...values] = line
+                .replace(/[#;].*/, '')
+                .trim()
+                .split(/\s+/);
+
+            // The last `search` or `domain` line wins (resolv.conf(5)).
+            if (keyword === 'search' || keyword === 'domain') {
+                result.domains = values
+                    .map(domain => domain.replace(/\.$/, ''))
+                    .filter(Boolean);
+            } else if (keyword === 'options') {
+                values.forEach(value => {
+                    const match = /^ndots:(\d+)$/.exec(value);
+
+                    // Values greater than 15 are silently capped (resolv.conf(5)).
+                    if (match) {
+                        result.ndots = Math.min(Number(match[1]), 15);
+                    }
+                });
+            }
+        });
+
+        return result;
+    }
+}
+
+module.exports = SearchBackend;
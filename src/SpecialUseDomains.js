@@ -0,0 +1,74 @@
+'use strict';
+
+const assert = require('assert');
+
+const _ = require('lodash');
+
+class SpecialUseDomains {
+    /**
+     * Domains resolved to loopback addresses (RFC 6761, section 6.3).
+     *
+     * @returns {string}
+     */
+    static get LOCALHOST() {
+        return 'localhost';
+    }
+
+    /**
+     * Enabled/disabled state of the special-use domains by default.
+     * All of them except `localhost` are never resolved (RFC 6761, RFC 6762, RFC 7686).
+     *
+     * @returns {Object<string, boolean>}
+     */
+    static get DEFAULT_DOMAINS() {
+        return {
+            localhost: true,
+            invalid: true,
+            onion: true,
+            test: false,
+            local: false
+        };
+    }
+
+    /**
+     * @param {Object} [options]
+     * @param {Object<string, boolean>|boolean} [options.specialUseDomains] - enabled/disabled state per domain,
+     * `false` disables all of them
+     */
+    constructor(options = {}) {
+        const domains = options.specialUseDomains;
+
+        assert(
+            domains === undefined ||
+                _.isBoolean(domains) ||
+                _.isPlainObject(domains),
+            'specialUseDomains must be an object or a boolean.'
+        );
+
+        if (domains === false) {
+            this._domains = [];
+        } else {
+            const state = Object.assign(
+                {},
+                SpecialUseDomains.DEFAULT_DOMAINS,
+                _.isPlainObject(domains) ? domains : {}
+            );
+
+            this._domains = Object.keys(state).filter(domain => state[domain]);
+        }
+    }
+
+    /**
+     * @param {string} hostname
+     * @returns {string|undefined} enabled special-use domain that hostname belongs to
+     */
+    match(hostname) {
+        const name = hostname.toLowerCase().replace(/\.$/, '');
+
+        return this._domains.find(domain => {
+            return name === domain || name.endsWith(`.${domain}`);
+        });
+    }
+}
+
+module.exports = SpecialUseDomains;
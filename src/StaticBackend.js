@@ -0,0 +1,91 @@
+'use strict';
+
+const assert = require('assert');
+const dns = require('dns');
+const net = require('net');
+
+const _ = require('lodash');
+
+/**
+ * Resolver backend that answers from the static map of hostnames to addresses.
+ */
+class StaticBackend {
+    /**
+     * @returns {number}
+     */
+    static get DEFAULT_TTL() {
+        return 60;
+    }
+
+    /**
+     * @param {Object<string, Array<string|{address: string, ttl: number}>>} records - addresses per hostname
+     * @param {Object} [options]
+     * @param {number} [options.ttl] - TTL in seconds of the addresses without own one
+     */
+    constructor(records, options = {}) {
+        assert(_.isPlainObject(records), 'records must be an object.');
+
+        this._records = records;
+        this._ttl = _.isNumber(options.ttl)
+            ? options.ttl
+            : StaticBackend.DEFAULT_TTL;
+    }
+
+    /**
+     * @param {string} hostname
+     * @param {number} family
+     * @returns {Promise<Array<{address: string, ttl: number}>>}
+     */
+    resolve(hostname, family) {
+        if (!_.has(this._records, hostname)) {
+            return Promise.reject(
+                this._makeError(dns.NOTFOUND, hostname, family)
+            );
+        }
+
+        const addresses = this._records[hostname]
+            .map(record => {
+                if (_.isString(record)) {
+                    return { address: record, ttl: this._ttl };
+                }
+
+                return {
+                    address: record.address,
+                    ttl: _.isNumber(record.ttl) ? record.ttl : this._ttl
+                };
+            })
+            .filter(address => net.isIP(address.address) === family);
+
+        if (_.isEmpty(addresses)) {
+            return Promise.reject(
+                this._makeError(dns.NODATA, hostname, family)
+            );
+        }
+
+        return Promise.resolve(addresses);
+    }
+
+    // noinspection JSMethodCanBeStatic
+    /**
+     * Makes an error like the `dns.resolve4`/`dns.resolve6` ones.
+     *
+     * @param {string} code
+     * @param {string} hostname
+     * @param {number} family
+     * @returns {Error}
+     * @private
+     */
+    _makeError(code, hostname, family) {
+        const syscall = family === 4 ? 'queryA' : 'queryAaaa';
+        const error = new Error(`${syscall} ${code} ${hostname}`);
+
+        error.hostname = hostname;
+        error.code = code;
+        error.errno = code;
+        error.syscall = syscall;
+
+        return error;
+    }
+}
+
+module.exports = StaticBackend;
@@ -15,6 +15,13 @@ class TasksManager {
         return this._tasks.get(key);
     }
 
+    /**
+     * @returns {string[]} keys of the in-flight tasks
+     */
+    keys() {
+        return Array.from(this._tasks.keys());
+    }
+
     /**
      * @param {string} key
      * @param {ResolveTask} task
@@ -0,0 +1,68 @@
+'use strict';
+
+const { assert } = require('chai');
+
+const Lookup = require('../../../src/Lookup');
+const StaticBackend = require('../../../src/StaticBackend');
+
+describe('Func: Lookup::run', () => {
+    const amountOfLookups = 5000;
+
+    const records = {
+        'first.example.com': ['10.0.0.1', '10.0.0.2', '::1'],
+        'second.example.com': ['10.0.0.3', '::2', '::3'],
+        'third.example.com': ['10.0.0.4']
+    };
+    const hostnames = Object.keys(records);
+
+    const optionsSet = [
+        {},
+        { family: 4 },
+        { all: true },
+        { family: 6, all: true }
+    ];
+
+    it('must always answer with addresses for TTL 0 records and thousands of concurrent lookups', done => {
+        const lookup = new Lookup({
+            resolver: new StaticBackend(records, { ttl: 0 }),
+            hostsFile: false
+        });
+
+        let amountOfAnswers = 0;
+
+        for (let i = 0; i < amountOfLookups; i++) {
+            const hostname = hostnames[i % hostnames.length];
+            const options = optionsSet[i % optionsSet.length];
+
+            lookup.run(hostname, options, (error, address, family) => {
+                const expected = records[hostname].filter(recordAddress => {
+                    return (
+                        !options.family ||
+                        recordAddress.includes(':') === (options.family === 6)
+                    );
+                });
+
+                if (expected.length === 0) {
+                    assert.instanceOf(error, Error);
+                    assert.strictEqual(error.code, 'ENOTFOUND');
+                } else if (options.all) {
+                    assert.isNull(error);
+                    assert.sameMembers(
+                        address.map(record => record.address),
+                        expected
+                    );
+                } else {
+                    assert.isNull(error);
+                    assert.include(expected, address);
+                    assert.include([4, 6], family);
+                }
+
+                amountOfAnswers += 1;
+
+                if (amountOfAnswers === amountOfLookups) {
+                    done();
+                }
+            });
+        }
+    });
+});
@@ -0,0 +1,44 @@
+'use strict';
+
+const { assert } = require('chai');
+
+const AddressCache = require('../../../src/AddressCache');
+const addresses = require('../../addresses');
+
+describe('Unit: AddressCache::delete', () => {
+    let addressCache;
+
+    beforeEach(() => {
+        addressCache = new AddressCache();
+
+        addressCache.set(addresses.INET_HOST1, [
+            { expiredTime: Date.now() + 1000 }
+        ]);
+        addressCache.setNegative(
+            addresses.INVALID_HOST,
+            new Error('some error'),
+            Date.now() + 1000
+        );
+    });
+
+    afterEach(() => {
+        addressCache.close();
+    });
+
+    it('must delete addresses and negative answer of the key', () => {
+        assert.isTrue(addressCache.has(addresses.INET_HOST1));
+
+        assert.isTrue(addressCache.delete(addresses.INET_HOST1));
+        assert.isTrue(addressCache.delete(addresses.INVALID_HOST));
+        assert.isFalse(addressCache.delete(addresses.INET_HOST2));
+
+        assert.isFalse(addressCache.has(addresses.INET_HOST1));
+        assert.isUndefined(addressCache.findNegative(addresses.INVALID_HOST));
+    });
+
+    it('must delete all entries on clear', () => {
+        addressCache.clear();
+
+        assert.deepEqual(addressCache.entries(), []);
+    });
+});
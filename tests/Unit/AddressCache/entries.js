@@ -0,0 +1,70 @@
+'use strict';
+
+const { assert } = require('chai');
+
+const AddressCache = require('../../../src/AddressCache');
+const addresses = require('../../addresses');
+
+describe('Unit: AddressCache::entries', () => {
+    let addressCache;
+
+    beforeEach(() => {
+        addressCache = new AddressCache();
+    });
+
+    afterEach(() => {
+        addressCache.close();
+    });
+
+    it('must list addresses with the earliest expiration time and negative answers', () => {
+        const now = Date.now();
+        const error = new Error('some error');
+
+        const host1Addresses = [
+            { address: '1.1.1.1', expiredTime: now + 2000 },
+            { address: '2.2.2.2', expiredTime: now + 1000 }
+        ];
+
+        addressCache.set(addresses.INET_HOST1, host1Addresses);
+        addressCache.set(addresses.INET_HOST2, []);
+        addressCache.setNegative(addresses.INVALID_HOST, error, now + 3000);
+
+        assert.deepEqual(addressCache.entries(), [
+            {
+                key: addresses.INET_HOST1,
+                addresses: host1Addresses,
+                expiredTime: now + 1000,
+                error: null
+            },
+            {
+                key: addresses.INET_HOST2,
+                addresses: [],
+                expiredTime: 0,
+                error: null
+            },
+            {
+                key: addresses.INVALID_HOST,
+                addresses: [],
+                expiredTime: now + 3000,
+                error
+            }
+        ]);
+    });
+
+    it('must not change order of the keys', () => {
+        addressCache.set(addresses.INET_HOST1, [
+            { expiredTime: Date.now() + 1000 }
+        ]);
+        addressCache.set(addresses.INET_HOST2, [
+            { expiredTime: Date.now() + 1000 }
+        ]);
+
+        addressCache.entries();
+        addressCache.has(addresses.INET_HOST1);
+
+        assert.deepEqual(Array.from(addressCache._cache.keys()), [
+            addresses.INET_HOST1,
+            addresses.INET_HOST2
+        ]);
+    });
+});
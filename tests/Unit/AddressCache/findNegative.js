@@ -0,0 +1,50 @@
+'use strict';
+
+const { assert } = require('chai');
+
+const AddressCache = require('../../../src/AddressCache');
+const addresses = require('../../addresses');
+
+describe('Unit: AddressCache::findNegative', () => {
+    const error = new Error('some error');
+
+    let addressCache;
+
+    beforeEach(() => {
+        addressCache = new AddressCache();
+    });
+
+    it('must return undefined, cuz there is no negative answer for this hostname key', () => {
+        assert.isUndefined(addressCache.findNegative(addresses.INET_HOST1));
+    });
+
+    it('must return error of not expired negative answer', () => {
+        addressCache.setNegative(
+            addresses.INET_HOST1,
+            error,
+            Date.now() + 1000
+        );
+
+        assert.strictEqual(
+            addressCache.findNegative(addresses.INET_HOST1),
+            error
+        );
+    });
+
+    it('must return undefined, cuz negative answer is expired', () => {
+        addressCache.setNegative(addresses.INET_HOST1, error, Date.now() - 1);
+
+        assert.isUndefined(addressCache.findNegative(addresses.INET_HOST1));
+    });
+
+    it('must forget negative answer when addresses have been set', () => {
+        addressCache.setNegative(
+            addresses.INET_HOST1,
+            error,
+            Date.now() + 1000
+        );
+        addressCache.set(addresses.INET_HOST1, [{ address: '1.2.3.4' }]);
+
+        assert.isUndefined(addressCache.findNegative(addresses.INET_HOST1));
+    });
+});
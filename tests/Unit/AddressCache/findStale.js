@@ -0,0 +1,65 @@
+'use strict';
+
+const { assert } = require('chai');
+
+const AddressCache = require('../../../src/AddressCache');
+const addresses = require('../../addresses');
+
+describe('Unit: AddressCache::findStale', () => {
+    const maxStale = 1000;
+
+    let addressCache;
+
+    beforeEach(() => {
+        addressCache = new AddressCache();
+    });
+
+    it('must return undefined, cuz there are no addresses for this hostname key', () => {
+        assert.isUndefined(
+            addressCache.findStale(addresses.INET_HOST1, maxStale)
+        );
+    });
+
+    it('must return undefined, cuz addresses array is empty', () => {
+        addressCache._cache.set(addresses.INET_HOST1, []);
+
+        assert.isUndefined(
+            addressCache.findStale(addresses.INET_HOST1, maxStale)
+        );
+    });
+
+    it('must return not expired addresses', () => {
+        const cachedAddresses = [{ expiredTime: Date.now() + maxStale }];
+
+        addressCache._cache.set(addresses.INET_HOST1, cachedAddresses);
+
+        assert.strictEqual(
+            addressCache.findStale(addresses.INET_HOST1, maxStale),
+            cachedAddresses
+        );
+    });
+
+    it('must return addresses that have been expired less than maxStale ms ago', () => {
+        const cachedAddresses = [{ expiredTime: Date.now() - maxStale / 2 }];
+
+        addressCache._cache.set(addresses.INET_HOST1, cachedAddresses);
+
+        assert.strictEqual(
+            addressCache.findStale(addresses.INET_HOST1, maxStale),
+            cachedAddresses
+        );
+    });
+
+    it('must return undefined, cuz addresses have been expired more than maxStale ms ago', () => {
+        const cachedAddresses = [
+            { expiredTime: Date.now() - maxStale / 2 },
+            { expiredTime: Date.now() - maxStale * 2 }
+        ];
+
+        addressCache._cache.set(addresses.INET_HOST1, cachedAddresses);
+
+        assert.isUndefined(
+            addressCache.findStale(addresses.INET_HOST1, maxStale)
+        );
+    });
+});
@@ -1,6 +1,7 @@
 'use strict';
 
 const { assert } = require('chai');
+const sinon = require('sinon');
 
 const AddressCache = require('../../../src/AddressCache');
 const addresses = require('../../addresses');
@@ -25,4 +26,144 @@ describe('Unit: AddressCache::set', () => {
             setOfAddresses2
         );
     });
+
+    it('must evict the least recently used key if cache is full', () => {
+        const addressCache = new AddressCache({ maxEntries: 2 });
+        const notExpiredAddresses = [{ expiredTime: Date.now() + 1000 }];
+
+        const onEvictSpy = sinon.spy();
+
+        addressCache.on('evict', onEvictSpy);
+
+        addressCache.set(addresses.INET_HOST1, notExpiredAddresses);
+        addressCache.set(addresses.INET_HOST2, [{ address: '5.6.7.8' }]);
+
+        // makes INET_HOST1 the most recently used one
+        addressCache.find(addresses.INET_HOST1);
+
+        addressCache.set(addresses.INET_HOST3, [{ address: '9.10.11.12' }]);
+
+        assert.deepEqual(Array.from(addressCache._cache.keys()), [
+            addresses.INET_HOST1,
+            addresses.INET_HOST3
+        ]);
+
+        assert.isTrue(onEvictSpy.calledOnce);
+        assert.isTrue(
+            onEvictSpy.calledWithExactly(addresses.INET_HOST2, [
+                { address: '5.6.7.8' }
+            ])
+        );
+    });
+
+    it('must not evict anything if existing key has been updated', () => {
+        const addressCache = new AddressCache({ maxEntries: 1 });
+
+        const onEvictSpy = sinon.spy();
+
+        addressCache.on('evict', onEvictSpy);
+
+        addressCache.set(addresses.INET_HOST1, [{ address: '1.2.3.4' }]);
+        addressCache.set(addresses.INET_HOST1, [{ address: '5.6.7.8' }]);
+
+        assert.isTrue(onEvictSpy.notCalled);
+        assert.deepEqual(addressCache._cache.get(addresses.INET_HOST1), [
+            { address: '5.6.7.8' }
+        ]);
+    });
+
+    it('must not admit key that is accessed less frequently than the evicted one', () => {
+        const addressCache = new AddressCache({
+            maxEntries: 1,
+            admission: true
+        });
+
+        const onEvictSpy = sinon.spy();
+
+        addressCache.on('evict', onEvictSpy);
+
+        addressCache.find(addresses.INET_HOST1);
+        addressCache.find(addresses.INET_HOST1);
+        addressCache.set(addresses.INET_HOST1, [{ address: '1.2.3.4' }]);
+
+        addressCache.find(addresses.INET_HOST2);
+        addressCache.set(addresses.INET_HOST2, [{ address: '5.6.7.8' }]);
+
+        assert.isTrue(onEvictSpy.notCalled);
+        assert.deepEqual(Array.from(addressCache._cache.keys()), [
+            addresses.INET_HOST1
+        ]);
+
+        addressCache.find(addresses.INET_HOST2);
+        addressCache.find(addresses.INET_HOST2);
+        addressCache.set(addresses.INET_HOST2, [{ address: '5.6.7.8' }]);
+
+        assert.isTrue(onEvictSpy.calledOnce);
+        assert.deepEqual(Array.from(addressCache._cache.keys()), [
+            addresses.INET_HOST2
+        ]);
+    });
+
+    it('must halve access frequencies periodically', () => {
+        const addressCache = new AddressCache({
+            maxEntries: 1,
+            admission: true
+        });
+
+        const samplesAmount = AddressCache.FREQUENCY_SAMPLE_FACTOR;
+
+        for (let i = 0; i < samplesAmount - 1; i++) {
+            addressCache.find(addresses.INET_HOST1);
+        }
+
+        assert.strictEqual(
+            addressCache._getFrequency(addresses.INET_HOST1),
+            samplesAmount - 1
+        );
+
+        addressCache.find(addresses.INET_HOST2);
+
+        assert.strictEqual(
+            addressCache._getFrequency(addresses.INET_HOST1),
+            Math.floor((samplesAmount - 1) / 2)
+        );
+        assert.strictEqual(addressCache._getFrequency(addresses.INET_HOST2), 0);
+        assert.isFalse(addressCache._frequencies.has(addresses.INET_HOST2));
+    });
+
+    it('must evict the oldest negative answer if negative cache is full', () => {
+        const addressCache = new AddressCache({ maxEntries: 1 });
+        const error = new Error('some error');
+
+        addressCache.setNegative(
+            addresses.INET_HOST1,
+            error,
+            Date.now() + 1000
+        );
+        addressCache.setNegative(
+            addresses.INET_HOST2,
+            error,
+            Date.now() + 1000
+        );
+
+        assert.isUndefined(addressCache.findNegative(addresses.INET_HOST1));
+        assert.strictEqual(
+            addressCache.findNegative(addresses.INET_HOST2),
+            error
+        );
+    });
+
+    const invalidMaxEntries = [0, -1, 1.5, '10'];
+
+    invalidMaxEntries.forEach(maxEntries => {
+        it(`must throw an exception, cuz maxEntries === ${JSON.stringify(
+            maxEntries
+        )}`, () => {
+            assert.throws(
+                () => new AddressCache({ maxEntries }),
+                Error,
+                `maxEntries must be a positive integer. '${maxEntries}' has been provided.`
+            );
+        });
+    });
 });
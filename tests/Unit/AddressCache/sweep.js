@@ -0,0 +1,134 @@
+'use strict';
+
+const { assert } = require('chai');
+const sinon = require('sinon');
+
+const AddressCache = require('../../../src/AddressCache');
+const addresses = require('../../addresses');
+
+describe('Unit: AddressCache::sweep', () => {
+    let addressCache;
+
+    afterEach(() => {
+        addressCache.close();
+    });
+
+    it('must delete expired addresses and negative answers and emit sweep event', () => {
+        addressCache = new AddressCache();
+
+        const onSweepSpy = sinon.spy();
+
+        addressCache.on('sweep', onSweepSpy);
+
+        addressCache.set(addresses.INET_HOST1, [
+            { expiredTime: Date.now() + 1000 }
+        ]);
+        addressCache.set(addresses.INET_HOST2, [
+            { expiredTime: Date.now() - 1000 }
+        ]);
+        addressCache.set(addresses.INET_HOST3, []);
+        addressCache.setNegative(
+            addresses.INVALID_HOST,
+            new Error('some error'),
+            Date.now() - 1000
+        );
+
+        addressCache.sweep();
+
+        assert.deepEqual(Array.from(addressCache._cache.keys()), [
+            addresses.INET_HOST1
+        ]);
+        assert.strictEqual(addressCache._negativeCache.size, 0);
+
+        assert.isTrue(onSweepSpy.calledOnce);
+        assert.sameMembers(onSweepSpy.getCall(0).args[0], [
+            addresses.INET_HOST2,
+            addresses.INET_HOST3,
+            addresses.INVALID_HOST
+        ]);
+    });
+
+    it('must keep expired addresses that still can be served as stale ones', () => {
+        addressCache = new AddressCache({
+            staleWhileRevalidate: 1000,
+            serveStale: 5000
+        });
+
+        addressCache.set(addresses.INET_HOST1, [
+            { expiredTime: Date.now() - 3000 }
+        ]);
+        addressCache.set(addresses.INET_HOST2, [
+            { expiredTime: Date.now() - 6000 }
+        ]);
+
+        addressCache.sweep();
+
+        assert.deepEqual(Array.from(addressCache._cache.keys()), [
+            addresses.INET_HOST1
+        ]);
+    });
+
+    describe('timer', () => {
+        let clock;
+
+        beforeEach(() => {
+            clock = sinon.useFakeTimers();
+        });
+
+        afterEach(() => {
+            clock.restore();
+        });
+
+        it('must sweep periodically after the first set call', () => {
+            addressCache = new AddressCache({ sweepInterval: 1000 });
+
+            const sweepSpy = sinon.spy(addressCache, 'sweep');
+
+            clock.tick(1000);
+
+            assert.isTrue(sweepSpy.notCalled);
+
+            addressCache.set(addresses.INET_HOST1, []);
+
+            clock.tick(2000);
+
+            assert.isTrue(sweepSpy.calledTwice);
+            assert.strictEqual(addressCache._cache.size, 0);
+
+            addressCache.close();
+
+            clock.tick(1000);
+
+            assert.isTrue(sweepSpy.calledTwice);
+        });
+
+        it('must not sweep, cuz sweepInterval === 0', () => {
+            addressCache = new AddressCache({ sweepInterval: 0 });
+
+            const sweepSpy = sinon.spy(addressCache, 'sweep');
+
+            addressCache.set(addresses.INET_HOST1, []);
+
+            clock.tick(AddressCache.DEFAULT_SWEEP_INTERVAL);
+
+            assert.isTrue(sweepSpy.notCalled);
+            assert.isNull(addressCache._sweepTimer);
+        });
+    });
+
+    const invalidSweepIntervals = [-1, 1.5, '1000'];
+
+    invalidSweepIntervals.forEach(sweepInterval => {
+        it(`must throw an exception, cuz sweepInterval === ${JSON.stringify(
+            sweepInterval
+        )}`, () => {
+            addressCache = new AddressCache();
+
+            assert.throws(
+                () => new AddressCache({ sweepInterval }),
+                Error,
+                `sweepInterval must be a non-negative integer. '${sweepInterval}' has been provided.`
+            );
+        });
+    });
+});
@@ -0,0 +1,47 @@
+'use strict';
+
+const { assert } = require('chai');
+
+const AddressQuarantine = require('../../../src/AddressQuarantine');
+const addresses = require('../../addresses');
+
+describe('Unit: AddressQuarantine::filter', () => {
+    const hostname = addresses.INET_HOST1;
+
+    const records = [
+        { address: '1.1.1.1', family: 4 },
+        { address: '2.2.2.2', family: 4 },
+        { address: '3.3.3.3', family: 4 }
+    ];
+
+    let quarantine;
+
+    beforeEach(() => {
+        quarantine = new AddressQuarantine();
+    });
+
+    it('must return the same records if nothing is quarantined', () => {
+        assert.strictEqual(quarantine.filter(hostname, records), records);
+    });
+
+    it('must skip quarantined addresses', () => {
+        quarantine.reportFailure(hostname, '2.2.2.2');
+
+        assert.deepEqual(quarantine.filter(hostname, records), [
+            records[0],
+            records[2]
+        ]);
+        assert.strictEqual(
+            quarantine.filter(addresses.INET_HOST2, records).length,
+            3
+        );
+    });
+
+    it('must return all records if every address is quarantined', () => {
+        records.forEach(record => {
+            quarantine.reportFailure(hostname, record.address);
+        });
+
+        assert.strictEqual(quarantine.filter(hostname, records), records);
+    });
+});
@@ -0,0 +1,103 @@
+'use strict';
+
+const { assert } = require('chai');
+const sinon = require('sinon');
+
+const AddressQuarantine = require('../../../src/AddressQuarantine');
+const addresses = require('../../addresses');
+
+describe('Unit: AddressQuarantine::reportFailure', () => {
+    const hostname = addresses.INET_HOST1;
+    const address = '1.2.3.4';
+
+    let clock;
+
+    beforeEach(() => {
+        clock = sinon.useFakeTimers({ toFake: ['Date'] });
+    });
+
+    afterEach(() => {
+        clock.restore();
+    });
+
+    it('must quarantine address for the period doubled on every consecutive failure', () => {
+        const quarantine = new AddressQuarantine({
+            quarantinePeriod: 1000,
+            maxQuarantinePeriod: 3000
+        });
+
+        assert.strictEqual(quarantine.reportFailure(hostname, address), 1000);
+        assert.isTrue(quarantine.isQuarantined(hostname, address));
+        assert.isFalse(quarantine.isQuarantined(hostname, '4.3.2.1'));
+        assert.isFalse(quarantine.isQuarantined(addresses.INET_HOST2, address));
+
+        clock.tick(1000);
+
+        assert.isFalse(quarantine.isQuarantined(hostname, address));
+
+        assert.strictEqual(quarantine.reportFailure(hostname, address), 2000);
+        assert.strictEqual(quarantine.reportFailure(hostname, address), 3000);
+
+        clock.tick(2999);
+
+        assert.isTrue(quarantine.isQuarantined(hostname, address));
+    });
+
+    it('must reset failures on success', () => {
+        const quarantine = new AddressQuarantine({ quarantinePeriod: 1000 });
+
+        quarantine.reportFailure(hostname, address);
+        quarantine.reportFailure(hostname, address);
+        quarantine.reportSuccess(hostname, address);
+
+        assert.isFalse(quarantine.isQuarantined(hostname, address));
+        assert.strictEqual(quarantine.reportFailure(hostname, address), 1000);
+    });
+
+    it('must forget failures if address has not failed during max period after quarantine', () => {
+        const quarantine = new AddressQuarantine({
+            quarantinePeriod: 1000,
+            maxQuarantinePeriod: 5000
+        });
+
+        quarantine.reportFailure(hostname, address);
+
+        clock.tick(5999);
+
+        assert.strictEqual(quarantine.reportFailure(hostname, address), 2000);
+
+        clock.tick(7000);
+
+        assert.strictEqual(quarantine.reportFailure(hostname, address), 1000);
+        assert.strictEqual(quarantine._entries.size, 1);
+    });
+
+    it('must prune forgotten failures of the addresses that are not looked up anymore', () => {
+        const quarantine = new AddressQuarantine({
+            quarantinePeriod: 1000,
+            maxQuarantinePeriod: 5000
+        });
+
+        quarantine.reportFailure(hostname, address);
+        quarantine.reportFailure(addresses.INET_HOST2, address);
+
+        clock.tick(6000);
+
+        quarantine.reportFailure(hostname, '4.3.2.1');
+
+        assert.deepEqual(Array.from(quarantine._entries.keys()), [
+            `${hostname}_4.3.2.1`
+        ]);
+    });
+
+    it('must throw error if periods are invalid', () => {
+        assert.throws(
+            () => new AddressQuarantine({ quarantinePeriod: 0 }),
+            "quarantinePeriod must be a positive integer. '0' has been provided."
+        );
+        assert.throws(
+            () => new AddressQuarantine({ maxQuarantinePeriod: 1.5 }),
+            "maxQuarantinePeriod must be a positive integer. '1.5' has been provided."
+        );
+    });
+});
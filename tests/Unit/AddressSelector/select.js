@@ -0,0 +1,180 @@
+'use strict';
+
+const { assert } = require('chai');
+const sinon = require('sinon');
+
+const AddressSelector = require('../../../src/AddressSelector');
+const addresses = require('../../addresses');
+
+describe('Unit: AddressSelector::select', () => {
+    const hostname = addresses.INET_HOST1;
+    const stateKey = `${hostname}_4`;
+    const context = { hostname, family: 4 };
+
+    const records = [
+        { address: '1.1.1.1', family: 4 },
+        { address: '2.2.2.2', family: 4 },
+        { address: '3.3.3.3', family: 4 }
+    ];
+
+    let mathRandomStub;
+
+    afterEach(() => {
+        if (mathRandomStub) {
+            mathRandomStub.restore();
+            mathRandomStub = null;
+        }
+    });
+
+    it('must rotate addresses starting from the random offset by default', () => {
+        mathRandomStub = sinon.stub(Math, 'random').returns(0.5);
+
+        const selector = new AddressSelector();
+
+        const selected = [0, 1, 2, 3].map(() =>
+            selector.select(stateKey, records, context)
+        );
+
+        assert.deepEqual(selected, [
+            records[1],
+            records[2],
+            records[0],
+            records[1]
+        ]);
+    });
+
+    it('must keep rotation across refreshed addresses of the same key', () => {
+        mathRandomStub = sinon.stub(Math, 'random').returns(0);
+
+        const selector = new AddressSelector({ strategy: 'round-robin' });
+
+        assert.strictEqual(
+            selector.select(stateKey, records, context),
+            records[0]
+        );
+
+        const refreshedRecords = records.map(record =>
+            Object.assign({}, record)
+        );
+
+        assert.strictEqual(
+            selector.select(stateKey, refreshedRecords, context),
+            refreshedRecords[1]
+        );
+        assert.strictEqual(
+            selector.select(`${addresses.INET_HOST2}_4`, records, context),
+            records[0]
+        );
+    });
+
+    it('must start rotation from the random offset again after forget call', () => {
+        mathRandomStub = sinon.stub(Math, 'random').returns(0);
+
+        const selector = new AddressSelector();
+
+        selector.select(stateKey, records, context);
+        selector.forget(stateKey);
+
+        assert.strictEqual(
+            selector.select(stateKey, records, context),
+            records[0]
+        );
+    });
+
+    it('must select random address', () => {
+        mathRandomStub = sinon.stub(Math, 'random').returns(0.99);
+
+        const selector = new AddressSelector({ strategy: 'random' });
+
+        assert.strictEqual(
+            selector.select(stateKey, records, context),
+            records[2]
+        );
+    });
+
+    it('must select the same address for the same key with consistent-hash strategy', () => {
+        const selector = new AddressSelector({ strategy: 'consistent-hash' });
+
+        const keys = ['user-1', 'user-2', 'user-3', 'user-4', 'user-5'];
+
+        keys.forEach(key => {
+            const selected = selector.select(
+                stateKey,
+                records,
+                Object.assign({ key }, context)
+            );
+
+            assert.include(records, selected);
+
+            assert.strictEqual(
+                selector.select(
+                    stateKey,
+                    records.slice().reverse(),
+                    Object.assign({ key }, context)
+                ),
+                selected
+            );
+
+            // removal of the other address does not move the key
+            const otherRecord = records.find(record => record !== selected);
+
+            assert.strictEqual(
+                selector.select(
+                    stateKey,
+                    records.filter(record => record !== otherRecord),
+                    Object.assign({ key }, context)
+                ),
+                selected
+            );
+        });
+    });
+
+    it('must rotate addresses with consistent-hash strategy if key is not passed', () => {
+        mathRandomStub = sinon.stub(Math, 'random').returns(0);
+
+        const selector = new AddressSelector({ strategy: 'consistent-hash' });
+
+        assert.strictEqual(
+            selector.select(stateKey, records, context),
+            records[0]
+        );
+        assert.strictEqual(
+            selector.select(stateKey, records, context),
+            records[1]
+        );
+    });
+
+    it('must use custom strategy function', () => {
+        const strategy = sinon.spy(recordsToSelect => recordsToSelect[2]);
+
+        const selector = new AddressSelector({ strategy });
+
+        assert.strictEqual(
+            selector.select(stateKey, records, context),
+            records[2]
+        );
+        assert.isTrue(strategy.calledWithExactly(records, context));
+    });
+
+    it('must throw an exception, cuz custom strategy returns not one of the addresses', () => {
+        const selector = new AddressSelector({
+            strategy: () => ({ address: '4.4.4.4', family: 4 })
+        });
+
+        assert.throws(
+            () => selector.select(stateKey, records, context),
+            Error,
+            'strategy must return one of the passed addresses.'
+        );
+    });
+
+    it('must throw an exception, cuz strategy is unknown', () => {
+        assert.throws(
+            () => new AddressSelector({ strategy: 'weighted' }),
+            Error,
+            `strategy must be a function or one of the {${AddressSelector.STRATEGIES.join(
+                ', '
+            )}}, 'weighted' has been provided.`
+        );
+    });
+});
@@ -0,0 +1,226 @@
+'use strict';
+
+const dns = require('dns');
+
+const { assert } = require('chai');
+const sinon = require('sinon');
+
+const DnsBackend = require('../../../src/DnsBackend');
+const addresses = require('../../addresses');
+
+describe('Unit: DnsBackend::resolve', () => {
+    const hostname = addresses.INET_HOST1;
+
+    const methods = { 4: 'resolve4', 6: 'resolve6' };
+
+    Object.keys(methods).forEach(family => {
+        const method = methods[family];
+
+        it(`must resolve addresses with ${method} method of the global dns module`, () => {
+            const resolvedAddresses = [{ address: '1.2.3.4', ttl: 60 }];
+
+            const resolveStub = sinon
+                .stub(dns, method)
+                .callsFake((hostname, options, callback) => {
+                    callback(null, resolvedAddresses);
+                });
+
+            const promise = new DnsBackend().resolve(hostname, Number(family));
+
+            resolveStub.restore();
+
+            assert.isTrue(resolveStub.calledOnce);
+            assert.isTrue(resolveStub.calledWith(hostname, { ttl: true }));
+
+            return promise.then(result => {
+                assert.strictEqual(result, resolvedAddresses);
+            });
+        });
+    });
+
+    it('must reject with resolve error', () => {
+        const error = new Error('some error');
+
+        const dnsResolver = new dns.Resolver();
+
+        sinon
+            .stub(dnsResolver, 'resolve6')
+            .callsFake((hostname, options, callback) => {
+                callback(error);
+            });
+
+        return new DnsBackend(dnsResolver).resolve(hostname, 6).then(
+            () => assert.fail('must not be resolved'),
+            resolveError => {
+                assert.strictEqual(resolveError, error);
+            }
+        );
+    });
+
+    it('must run cancellable query on a dedicated resolver', () => {
+        const error = new Error('some error');
+
+        const dnsResolver = new dns.Resolver();
+
+        dnsResolver.setServers(['1.1.1.1']);
+
+        let queryCallback;
+
+        const resolve4Stub = sinon
+            .stub(dns.Resolver.prototype, 'resolve4')
+            .callsFake((hostname, options, callback) => {
+                queryCallback = callback;
+            });
+        const cancelStub = sinon.stub(dns.Resolver.prototype, 'cancel');
+
+        const backend = new DnsBackend(dnsResolver);
+
+        const query = backend.resolve(hostname, 4, { cancellable: true });
+
+        query.cancel();
+        queryCallback(error);
+
+        resolve4Stub.restore();
+        cancelStub.restore();
+
+        const queryResolver = resolve4Stub.getCall(0).thisValue;
+
+        assert.notStrictEqual(queryResolver, dnsResolver);
+        assert.deepEqual(queryResolver.getServers(), ['1.1.1.1']);
+
+        assert.isTrue(cancelStub.calledOnce);
+        assert.strictEqual(cancelStub.getCall(0).thisValue, queryResolver);
+
+        return query.then(
+            () => assert.fail('must not be resolved'),
+            resolveError => {
+                assert.strictEqual(resolveError, error);
+            }
+        );
+    });
+
+    describe('resolver reuse', () => {
+        let callbacks;
+        let resolve4Stub;
+        let cancelStub;
+
+        beforeEach(() => {
+            callbacks = [];
+
+            resolve4Stub = sinon
+                .stub(dns.Resolver.prototype, 'resolve4')
+                .callsFake((hostname, options, callback) => {
+                    callbacks.push(callback);
+                });
+            cancelStub = sinon.stub(dns.Resolver.prototype, 'cancel');
+        });
+
+        afterEach(() => {
+            resolve4Stub.restore();
+            cancelStub.restore();
+        });
+
+        it('must reuse resolver of the settled cancellable query', () => {
+            const backend = new DnsBackend(new dns.Resolver());
+
+            const createSpy = sinon.spy(backend, '_createDnsResolver');
+
+            backend.resolve(hostname, 4, { cancellable: true });
+            callbacks[0](new Error('some error'));
+
+            const query = backend.resolve(hostname, 4, { cancellable: true });
+            callbacks[1](null, []);
+
+            assert.isTrue(createSpy.calledOnce);
+            assert.strictEqual(
+                resolve4Stub.getCall(1).thisValue,
+                resolve4Stub.getCall(0).thisValue
+            );
+
+            return query;
+        });
+
+        it('must not share resolver between pending cancellable queries', () => {
+            const backend = new DnsBackend(new dns.Resolver());
+
+            backend.resolve(hostname, 4, { cancellable: true });
+            backend.resolve(hostname, 4, { cancellable: true });
+
+            assert.notStrictEqual(
+                resolve4Stub.getCall(1).thisValue,
+                resolve4Stub.getCall(0).thisValue
+            );
+        });
+
+        it('must not cancel queries of the next resolver owner', () => {
+            const backend = new DnsBackend(new dns.Resolver());
+
+            const query = backend.resolve(hostname, 4, { cancellable: true });
+            callbacks[0](null, []);
+
+            backend.resolve(hostname, 4, { cancellable: true });
+
+            query.cancel();
+
+            assert.isTrue(cancelStub.notCalled);
+
+            return query;
+        });
+
+        it('must not reuse resolver with outdated servers', () => {
+            const dnsResolver = new dns.Resolver();
+
+            dnsResolver.setServers(['1.1.1.1']);
+
+            const backend = new DnsBackend(dnsResolver);
+
+            backend.resolve(hostname, 4, { cancellable: true });
+            callbacks[0](null, []);
+
+            dnsResolver.setServers(['8.8.8.8']);
+
+            backend.resolve(hostname, 4, { cancellable: true });
+
+            const queryResolver = resolve4Stub.getCall(1).thisValue;
+
+            assert.notStrictEqual(
+                queryResolver,
+                resolve4Stub.getCall(0).thisValue
+            );
+            assert.deepEqual(queryResolver.getServers(), ['8.8.8.8']);
+        });
+
+        it('must keep limited amount of idle resolvers', () => {
+            const backend = new DnsBackend(new dns.Resolver());
+
+            const count = DnsBackend.MAX_IDLE_RESOLVERS + 1;
+
+            for (let i = 0; i < count; i++) {
+                backend.resolve(hostname, 4, { cancellable: true });
+            }
+
+            callbacks.forEach(callback => callback(null, []));
+
+            assert.lengthOf(
+                backend._idleResolvers,
+                DnsBackend.MAX_IDLE_RESOLVERS
+            );
+        });
+    });
+
+    it('must not make not cancellable query cancellable', () => {
+        const dnsResolver = new dns.Resolver();
+
+        sinon
+            .stub(dnsResolver, 'resolve4')
+            .callsFake((hostname, options, callback) => {
+                callback(null, []);
+            });
+
+        const query = new DnsBackend(dnsResolver).resolve(hostname, 4);
+
+        assert.isUndefined(query.cancel);
+
+        return query;
+    });
+});
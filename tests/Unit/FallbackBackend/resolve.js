@@ -0,0 +1,174 @@
+'use strict';
+
+const dns = require('dns');
+
+const { assert } = require('chai');
+const sinon = require('sinon');
+
+const FallbackBackend = require('../../../src/FallbackBackend');
+const addresses = require('../../addresses');
+
+describe('Unit: FallbackBackend::resolve', () => {
+    const hostname = addresses.INET_HOST1;
+
+    let dnsLookupStub;
+
+    beforeEach(() => {
+        dnsLookupStub = sinon.stub(dns, 'lookup');
+    });
+
+    afterEach(() => {
+        dnsLookupStub.restore();
+    });
+
+    const makeError = code => {
+        const error = new Error(code);
+        error.code = code;
+
+        return error;
+    };
+
+    const makeBackend = result => {
+        return {
+            resolve: sinon.stub().returns(result)
+        };
+    };
+
+    it('must return addresses of the wrapped backend', () => {
+        const resolvedAddresses = [{ address: '1.2.3.4', ttl: 10 }];
+        const backend = makeBackend(Promise.resolve(resolvedAddresses));
+
+        return new FallbackBackend(backend)
+            .resolve(hostname, 4)
+            .then(result => {
+                assert.strictEqual(result, resolvedAddresses);
+
+                assert.isTrue(
+                    backend.resolve.calledWithExactly(hostname, 4, {})
+                );
+                assert.isTrue(dnsLookupStub.notCalled);
+            });
+    });
+
+    it('must resolve addresses by dns.lookup if wrapped backend fails with ENOTFOUND', () => {
+        const backend = makeBackend(Promise.reject(makeError(dns.NOTFOUND)));
+
+        dnsLookupStub.callsFake((hostname, options, callback) => {
+            callback(null, [
+                { address: '::1', family: 6 },
+                { address: '::2', family: 6 }
+            ]);
+        });
+
+        return new FallbackBackend(backend, { fallbackTtl: 5 })
+            .resolve(hostname, 6)
+            .then(result => {
+                assert.isTrue(dnsLookupStub.calledOnce);
+                assert.deepEqual(dnsLookupStub.getCall(0).args.slice(0, 2), [
+                    hostname,
+                    { family: 6, all: true }
+                ]);
+
+                assert.deepEqual(result, [
+                    { address: '::1', ttl: 5, source: 'lookup' },
+                    { address: '::2', ttl: 5, source: 'lookup' }
+                ]);
+            });
+    });
+
+    it('must use default TTL for addresses resolved by dns.lookup', () => {
+        const backend = makeBackend(Promise.reject(makeError(dns.NOTFOUND)));
+
+        dnsLookupStub.callsFake((hostname, options, callback) => {
+            callback(null, [{ address: '1.2.3.4', family: 4 }]);
+        });
+
+        return new FallbackBackend(backend)
+            .resolve(hostname, 4)
+            .then(result => {
+                assert.strictEqual(result[0].ttl, FallbackBackend.DEFAULT_TTL);
+            });
+    });
+
+    it('must reject with error of the wrapped backend if dns.lookup fails too', () => {
+        const error = makeError(dns.NOTFOUND);
+        const backend = makeBackend(Promise.reject(error));
+
+        dnsLookupStub.callsFake((hostname, options, callback) => {
+            callback(makeError(dns.NOTFOUND));
+        });
+
+        return new FallbackBackend(backend).resolve(hostname, 4).then(
+            () => assert.fail('must not be resolved'),
+            resolveError => {
+                assert.strictEqual(resolveError, error);
+            }
+        );
+    });
+
+    it('must not fall back for errors that are not in fallbackErrorCodes', () => {
+        const error = makeError(dns.SERVFAIL);
+        const backend = makeBackend(Promise.reject(error));
+
+        return new FallbackBackend(backend).resolve(hostname, 4).then(
+            () => assert.fail('must not be resolved'),
+            resolveError => {
+                assert.strictEqual(resolveError, error);
+                assert.isTrue(dnsLookupStub.notCalled);
+            }
+        );
+    });
+
+    it('must fall back for errors from fallbackErrorCodes option', () => {
+        const backend = makeBackend(Promise.reject(makeError(dns.SERVFAIL)));
+
+        dnsLookupStub.callsFake((hostname, options, callback) => {
+            callback(null, [{ address: '1.2.3.4', family: 4 }]);
+        });
+
+        return new FallbackBackend(backend, {
+            fallbackErrorCodes: [dns.SERVFAIL]
+        })
+            .resolve(hostname, 4)
+            .then(result => {
+                assert.strictEqual(result[0].address, '1.2.3.4');
+            });
+    });
+
+    it('must cancel query of the wrapped backend without fallback', () => {
+        const error = makeError(dns.NOTFOUND);
+
+        const query = Promise.reject(error);
+        query.cancel = sinon.spy();
+
+        const backend = makeBackend(query);
+
+        const promise = new FallbackBackend(backend).resolve(hostname, 4, {
+            cancellable: true
+        });
+
+        promise.cancel();
+
+        assert.isTrue(query.cancel.calledOnce);
+        assert.isTrue(
+            backend.resolve.calledWithExactly(hostname, 4, {
+                cancellable: true
+            })
+        );
+
+        return promise.then(
+            () => assert.fail('must not be resolved'),
+            resolveError => {
+                assert.strictEqual(resolveError, error);
+                assert.isTrue(dnsLookupStub.notCalled);
+            }
+        );
+    });
+
+    it('must expose identity of the wrapped backend', () => {
+        const backend = makeBackend(Promise.resolve([]));
+        backend.id = '1.1.1.1';
+
+        assert.strictEqual(new FallbackBackend(backend).id, '1.1.1.1');
+    });
+});
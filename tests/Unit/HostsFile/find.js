@@ -0,0 +1,148 @@
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { assert } = require('chai');
+
+const HostsFile = require('../../../src/HostsFile');
+
+describe('Unit: HostsFile::find', () => {
+    const hostsFilePath = path.join(
+        os.tmpdir(),
+        `lookup-dns-cache-hosts-${process.pid}`
+    );
+
+    const content = [
+        '# comment line',
+        '127.0.0.1   localhost',
+        '::1         localhost ip6-localhost',
+        '10.0.0.1    db.internal db   # inline comment',
+        '10.0.0.2    DB.internal.',
+        'fe80::1%eth0 link-local.internal',
+        'not-an-ip   broken.internal',
+        ''
+    ].join('\n');
+
+    beforeEach(() => {
+        fs.writeFileSync(hostsFilePath, content);
+    });
+
+    after(() => {
+        fs.unlinkSync(hostsFilePath);
+    });
+
+    const testCases = [
+        {
+            hostname: 'localhost',
+            ipVersion: 4,
+            expected: [{ address: '127.0.0.1', family: 4 }]
+        },
+        {
+            hostname: 'localhost',
+            ipVersion: 6,
+            expected: [{ address: '::1', family: 6 }]
+        },
+        {
+            hostname: 'ip6-localhost',
+            ipVersion: 4,
+            expected: []
+        },
+        {
+            hostname: 'db',
+            ipVersion: 4,
+            expected: [{ address: '10.0.0.1', family: 4 }]
+        },
+        {
+            hostname: 'db.internal',
+            ipVersion: 4,
+            expected: [
+                { address: '10.0.0.1', family: 4 },
+                { address: '10.0.0.2', family: 4 }
+            ]
+        },
+        {
+            hostname: 'DB.Internal.',
+            ipVersion: 4,
+            expected: [
+                { address: '10.0.0.1', family: 4 },
+                { address: '10.0.0.2', family: 4 }
+            ]
+        },
+        {
+            hostname: 'link-local.internal',
+            ipVersion: 6,
+            expected: [{ address: 'fe80::1%eth0', family: 6 }]
+        },
+        {
+            hostname: 'broken.internal',
+            ipVersion: 4,
+            expected: undefined
+        },
+        {
+            hostname: 'comment',
+            ipVersion: 4,
+            expected: undefined
+        }
+    ];
+
+    testCases.forEach(testCase => {
+        it(`must correct find IPv${testCase.ipVersion} addresses for '${
+            testCase.hostname
+        }'`, () => {
+            const hostsFile = new HostsFile({ hostsFile: hostsFilePath });
+
+            assert.deepEqual(
+                hostsFile.find(testCase.hostname, testCase.ipVersion),
+                testCase.expected
+            );
+        });
+    });
+
+    it('must return undefined if hosts file does not exist', () => {
+        const hostsFile = new HostsFile({
+            hostsFile: `${hostsFilePath}-not-existed`
+        });
+
+        assert.isUndefined(hostsFile.find('localhost', 4));
+    });
+
+    it('must reload hosts file when it has been changed', done => {
+        const hostsFile = new HostsFile({
+            hostsFile: hostsFilePath,
+            hostsFileWatchInterval: 0
+        });
+
+        assert.isUndefined(hostsFile.find('new.internal', 4));
+
+        const mtime = new Date(Date.now() + 10000);
+
+        fs.writeFileSync(hostsFilePath, '10.0.0.3 new.internal\n');
+        fs.utimesSync(hostsFilePath, mtime, mtime);
+
+        // triggers the check
+        assert.isUndefined(hostsFile.find('new.internal', 4));
+
+        setTimeout(() => {
+            assert.deepEqual(hostsFile.find('new.internal', 4), [
+                { address: '10.0.0.3', family: 4 }
+            ]);
+            assert.isUndefined(hostsFile.find('localhost', 4));
+
+            done();
+        }, 50);
+    });
+
+    it('must not check hosts file for changes more often than watch interval', () => {
+        const hostsFile = new HostsFile({
+            hostsFile: hostsFilePath,
+            hostsFileWatchInterval: 60000
+        });
+
+        hostsFile.find('localhost', 4);
+        hostsFile.find('localhost', 4);
+
+        assert.isFalse(hostsFile._isChecking);
+    });
+});
@@ -0,0 +1,183 @@
+'use strict';
+
+const { assert } = require('chai');
+const sinon = require('sinon');
+
+const DnsBackend = require('../../../src/DnsBackend');
+const FallbackBackend = require('../../../src/FallbackBackend');
+const Lookup = require('../../../src/Lookup');
+const SearchBackend = require('../../../src/SearchBackend');
+const ResolverBackend = require('../../../src/ResolverBackend');
+const StaticBackend = require('../../../src/StaticBackend');
+const addresses = require('../../addresses');
+
+describe('Unit: Lookup::_createResolver', () => {
+    const itIfSupported =
+        DnsBackend.IS_LOCAL_ADDRESS_SUPPORTED &&
+        DnsBackend.ARE_RESOLVER_OPTIONS_SUPPORTED
+            ? it
+            : it.skip;
+
+    it('must not create resolver backend by default', () => {
+        const lookup = new Lookup();
+
+        assert.isNull(lookup._createResolver({}));
+        assert.strictEqual(lookup._taskOptions, lookup._options);
+        assert.strictEqual(
+            lookup._makeKey(addresses.INET_HOST1, 4),
+            `${addresses.INET_HOST1}_4`
+        );
+    });
+
+    itIfSupported('must create resolver backend with own dns resolver', () => {
+        const lookup = new Lookup();
+
+        const resolver = lookup._createResolver({
+            servers: ['1.1.1.1', '8.8.8.8:5353'],
+            timeout: 1000,
+            tries: 2
+        });
+
+        assert.instanceOf(resolver, ResolverBackend);
+        assert.strictEqual(resolver.id, '1.1.1.1,8.8.8.8:5353');
+    });
+
+    it('must pass resolver backend to resolve tasks', () => {
+        const lookup = new Lookup({ servers: ['1.1.1.1'] });
+
+        assert.instanceOf(lookup._taskOptions.resolver, ResolverBackend);
+        assert.isUndefined(lookup._options.resolver);
+    });
+
+    it('must pass custom resolver backend to resolve tasks', () => {
+        const resolver = new StaticBackend({});
+
+        const lookup = new Lookup({ resolver, servers: ['1.1.1.1'] });
+
+        assert.strictEqual(lookup._taskOptions.resolver, resolver);
+        assert.strictEqual(
+            lookup._makeKey(addresses.INET_HOST1, 4),
+            `${addresses.INET_HOST1}_4`
+        );
+    });
+
+    it('must wrap resolver backend with dns.lookup fallback', () => {
+        const lookup = new Lookup();
+
+        const resolver = lookup._createResolver({ lookupFallback: true });
+
+        assert.instanceOf(resolver, FallbackBackend);
+        assert.instanceOf(resolver._backend, DnsBackend);
+
+        const customResolver = new StaticBackend({});
+
+        assert.strictEqual(
+            lookup._createResolver({
+                resolver: customResolver,
+                lookupFallback: true
+            })._backend,
+            customResolver
+        );
+    });
+
+    it('must wrap resolver backend with search domains before dns.lookup fallback', () => {
+        const lookup = new Lookup();
+
+        const resolver = lookup._createResolver({
+            search: ['example.com'],
+            lookupFallback: true
+        });
+
+        assert.instanceOf(resolver, FallbackBackend);
+        assert.instanceOf(resolver._backend, SearchBackend);
+        assert.instanceOf(resolver._backend._backend, DnsBackend);
+    });
+
+    it('must cache addresses found via search domains under the original hostname', done => {
+        const lookup = new Lookup({
+            resolver: new StaticBackend({
+                'redis.default.svc.cluster.local': ['10.0.0.1']
+            }),
+            search: ['default.svc.cluster.local'],
+            ndots: 5,
+            hostsFile: false
+        });
+
+        lookup._innerResolve('redis', 4, (error, records) => {
+            assert.isNull(error);
+            assert.strictEqual(records[0].address, '10.0.0.1');
+
+            assert.strictEqual(lookup._addressCache.find('redis_4'), records);
+
+            done();
+        });
+    });
+
+    it('must count and emit answers resolved by dns.lookup fallback', done => {
+        const resolver = {
+            resolve: () => Promise.resolve([{ address: '1.2.3.4', ttl: 1 }])
+        };
+
+        const lookup = new Lookup({ resolver });
+
+        const onFallbackSpy = sinon.spy();
+
+        lookup.on('fallback', onFallbackSpy);
+
+        lookup._innerResolve(addresses.INET_HOST1, 4, () => {
+            assert.isTrue(onFallbackSpy.notCalled);
+
+            resolver.resolve = () =>
+                Promise.resolve([
+                    { address: '1.2.3.4', ttl: 1, source: 'lookup' }
+                ]);
+
+            lookup._innerResolve(addresses.INET_HOST2, 4, () => {
+                assert.isTrue(onFallbackSpy.calledOnce);
+                assert.isTrue(
+                    onFallbackSpy.calledWithExactly(addresses.INET_HOST2, 4)
+                );
+                assert.strictEqual(lookup.stats().fallbacks, 1);
+
+                done();
+            });
+        });
+    });
+
+    itIfSupported('must make cache keys with resolver identity', () => {
+        const lookup = new Lookup({
+            servers: ['1.1.1.1'],
+            localAddress: '10.0.0.1'
+        });
+        const anotherLookup = new Lookup({ servers: ['8.8.8.8'] });
+
+        const key = lookup._makeKey(addresses.INET_HOST1, 6);
+
+        assert.strictEqual(key, `${addresses.INET_HOST1}_6@1.1.1.1/10.0.0.1`);
+        assert.notStrictEqual(
+            key,
+            anotherLookup._makeKey(addresses.INET_HOST1, 6)
+        );
+
+        assert.deepEqual(lookup._parseKey(key), {
+            hostname: addresses.INET_HOST1,
+            family: 6
+        });
+    });
+
+    const invalidOptions = [
+        [{ resolver: {} }, 'resolver must be an object with resolve method.'],
+        [{ servers: [] }, 'servers must be not empty array of strings.'],
+        [{ servers: '1.1.1.1' }, 'servers must be not empty array of strings.'],
+        [
+            { localAddress: 1 },
+            'localAddress must be a string or an array of strings.'
+        ]
+    ];
+
+    invalidOptions.forEach(([options, message]) => {
+        it(`must throw an exception for ${JSON.stringify(options)}`, () => {
+            assert.throws(() => new Lookup(options), Error, message);
+        });
+    });
+});
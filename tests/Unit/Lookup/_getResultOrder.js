@@ -0,0 +1,98 @@
+'use strict';
+
+const dns = require('dns');
+
+const { assert } = require('chai');
+
+const Lookup = require('../../../src/Lookup');
+
+describe('Unit: Lookup::_getResultOrder', () => {
+    // Assigned manually, cuz NodeJS versions before 16.4 have no such method to stub.
+    const originalGetDefaultResultOrder = dns.getDefaultResultOrder;
+
+    let defaultResultOrder;
+
+    beforeEach(() => {
+        defaultResultOrder = 'ipv6first';
+
+        dns.getDefaultResultOrder = () => defaultResultOrder;
+    });
+
+    afterEach(() => {
+        if (originalGetDefaultResultOrder) {
+            dns.getDefaultResultOrder = originalGetDefaultResultOrder;
+        } else {
+            delete dns.getDefaultResultOrder;
+        }
+    });
+
+    const testCases = [
+        {
+            title: 'must prefer `order` option over `verbatim` option',
+            instanceOptions: { order: 'ipv4first' },
+            options: { order: 'verbatim', verbatim: false },
+            expectedOrder: 'verbatim'
+        },
+        {
+            title: 'must use `verbatim: true` option',
+            instanceOptions: { order: 'ipv4first' },
+            options: { verbatim: true },
+            expectedOrder: 'verbatim'
+        },
+        {
+            title: 'must use `verbatim: false` option',
+            instanceOptions: { order: 'ipv6first' },
+            options: { verbatim: false },
+            expectedOrder: 'ipv4first'
+        },
+        {
+            title: 'must use instance default order',
+            instanceOptions: { order: 'verbatim' },
+            options: {},
+            expectedOrder: 'verbatim'
+        },
+        {
+            title: 'must use process-wide default order',
+            instanceOptions: {},
+            options: {},
+            expectedOrder: 'ipv6first'
+        }
+    ];
+
+    it('must ignore process-wide verbatim order in favour of the default order', () => {
+        defaultResultOrder = 'verbatim';
+
+        const lookup = new Lookup();
+
+        assert.strictEqual(lookup._getResultOrder({}), 'ipv4first');
+        assert.deepEqual(lookup._getFamilyOrder({}), [4, 6]);
+        assert.deepEqual(lookup._getFamilyOrder({ verbatim: true }), [6, 4]);
+    });
+
+    testCases.forEach(testCase => {
+        it(testCase.title, () => {
+            const lookup = new Lookup(testCase.instanceOptions);
+
+            assert.strictEqual(
+                lookup._getResultOrder(testCase.options),
+                testCase.expectedOrder
+            );
+        });
+    });
+
+    it('must use the default order if process-wide default is not supported', () => {
+        delete dns.getDefaultResultOrder;
+
+        const lookup = new Lookup();
+
+        assert.strictEqual(lookup._getResultOrder({}), Lookup.DEFAULT_ORDER);
+    });
+
+    it('must throw an exception if instance default order is invalid', () => {
+        assert.throws(
+            () => new Lookup({ order: 'ipv5first' }),
+            Error,
+            "order must be one of the {ipv4first, ipv6first, verbatim}, 'ipv5first' has been provided."
+        );
+    });
+});
@@ -24,7 +24,7 @@ describe('Unit: Lookup::_innerResolve', () => {
             const tasksManagerAddSpy = sinon.spy();
             const tasksManagerDoneSpy = sinon.spy();
 
-            class AddressCache {}
+            class AddressCache extends EventEmitter {}
             AddressCache.prototype.find = addressCacheFindSpy;
             AddressCache.prototype.set = addressCacheSetSpy;
 
@@ -89,7 +89,7 @@ describe('Unit: Lookup::_innerResolve', () => {
             const tasksManagerAddSpy = sinon.spy();
             const tasksManagerDoneSpy = sinon.spy();
 
-            class AddressCache {}
+            class AddressCache extends EventEmitter {}
             AddressCache.prototype.find = addressCacheFindSpy;
             AddressCache.prototype.set = addressCacheSetSpy;
 
@@ -167,7 +167,7 @@ describe('Unit: Lookup::_innerResolve', () => {
             const tasksManagerAddSpy = sinon.spy();
             const tasksManagerDoneSpy = sinon.spy();
 
-            class AddressCache {}
+            class AddressCache extends EventEmitter {}
             AddressCache.prototype.find = addressCacheFindSpy;
             AddressCache.prototype.set = addressCacheSetSpy;
 
@@ -242,7 +242,7 @@ describe('Unit: Lookup::_innerResolve', () => {
 
                 assert.isTrue(callbackSpy.notCalled);
 
-                assert.isTrue(resolveTaskOnSpy.calledTwice);
+                assert.strictEqual(resolveTaskOnSpy.callCount, 4);
 
                 assert.strictEqual(
                     resolveTaskOnSpy.getCall(0).args[0],
@@ -253,14 +253,206 @@ describe('Unit: Lookup::_innerResolve', () => {
                     Function
                 );
 
-                assert.strictEqual(resolveTaskOnSpy.getCall(1).args[0], 'done');
+                assert.strictEqual(
+                    resolveTaskOnSpy.getCall(1).args[0],
+                    'retry'
+                );
                 assert.instanceOf(
                     resolveTaskOnSpy.getCall(1).args[1],
                     Function
                 );
 
+                assert.strictEqual(
+                    resolveTaskOnSpy.getCall(2).args[0],
+                    'negative'
+                );
+                assert.instanceOf(
+                    resolveTaskOnSpy.getCall(2).args[1],
+                    Function
+                );
+
+                assert.strictEqual(resolveTaskOnSpy.getCall(3).args[0], 'done');
+                assert.instanceOf(
+                    resolveTaskOnSpy.getCall(3).args[1],
+                    Function
+                );
+
+                done();
+            });
+        });
+    });
+
+    ipVersions.forEach(ipVersion => {
+        it(`must correct return hosts file addresses for IPv${ipVersion}`, done => {
+            const hostsFileAddresses = [{}];
+
+            const hostsFileFindSpy = sinon.spy(() => hostsFileAddresses);
+            const addressCacheFindSpy = sinon.spy();
+            const tasksManagerFindSpy = sinon.spy();
+
+            class HostsFile {}
+            HostsFile.prototype.find = hostsFileFindSpy;
+
+            class AddressCache extends EventEmitter {}
+            AddressCache.prototype.find = addressCacheFindSpy;
+
+            class TasksManager {}
+            TasksManager.prototype.find = tasksManagerFindSpy;
+
+            const Lookup = proxyquire('../../../src/Lookup', {
+                './AddressCache': AddressCache,
+                './HostsFile': HostsFile,
+                './TasksManager': TasksManager
+            });
+
+            const callbackSpy = sinon.spy();
+
+            const lookup = new Lookup();
+
+            lookup._innerResolve(addresses.INET_HOST1, ipVersion, callbackSpy);
+
+            setImmediate(() => {
+                assert.isTrue(hostsFileFindSpy.calledOnce);
+                assert.isTrue(
+                    hostsFileFindSpy.calledWithExactly(
+                        addresses.INET_HOST1,
+                        ipVersion
+                    )
+                );
+
+                assert.isTrue(addressCacheFindSpy.notCalled);
+                assert.isTrue(tasksManagerFindSpy.notCalled);
+
+                assert.isTrue(callbackSpy.calledOnce);
+                assert.isTrue(
+                    callbackSpy.calledWithExactly(null, hostsFileAddresses)
+                );
+
                 done();
             });
         });
     });
+
+    it('must not use hosts file if it is disabled', () => {
+        const hostsFileFindSpy = sinon.spy();
+
+        class HostsFile {}
+        HostsFile.prototype.find = hostsFileFindSpy;
+
+        const Lookup = proxyquire('../../../src/Lookup', {
+            './HostsFile': HostsFile
+        });
+
+        const lookup = new Lookup({ hostsFile: false });
+
+        sinon.stub(lookup._addressCache, 'find').returns([{}]);
+
+        lookup._innerResolve(addresses.INET_HOST1, 4, () => {});
+
+        assert.isNull(lookup._hostsFile);
+        assert.isTrue(hostsFileFindSpy.notCalled);
+    });
+
+    it('must return stale addresses and refresh them in background', done => {
+        const Lookup = require('../../../src/Lookup');
+
+        const key = `${addresses.INET_HOST1}_4`;
+        const staleAddresses = [{ expiredTime: Date.now() - 100 }];
+
+        const lookup = new Lookup({ staleWhileRevalidate: 1000 });
+
+        lookup._addressCache.set(key, staleAddresses);
+
+        const runResolveTaskStub = sinon.stub(lookup, '_runResolveTask');
+        const callbackSpy = sinon.spy();
+
+        lookup._innerResolve(addresses.INET_HOST1, 4, callbackSpy);
+
+        assert.isTrue(runResolveTaskStub.calledOnce);
+        assert.strictEqual(
+            runResolveTaskStub.getCall(0).args[0],
+            addresses.INET_HOST1
+        );
+        assert.strictEqual(runResolveTaskStub.getCall(0).args[1], 4);
+        assert.strictEqual(runResolveTaskStub.getCall(0).args[2], key);
+        assert.notStrictEqual(
+            runResolveTaskStub.getCall(0).args[3],
+            callbackSpy
+        );
+
+        setImmediate(() => {
+            assert.isTrue(callbackSpy.calledOnce);
+            assert.isTrue(callbackSpy.calledWithExactly(null, staleAddresses));
+
+            done();
+        });
+    });
+
+    it('must wait for resolve task if addresses are too stale', () => {
+        const Lookup = require('../../../src/Lookup');
+
+        const key = `${addresses.INET_HOST1}_4`;
+
+        const lookup = new Lookup({ staleWhileRevalidate: 1000 });
+
+        lookup._addressCache.set(key, [{ expiredTime: Date.now() - 2000 }]);
+
+        const runResolveTaskStub = sinon.stub(lookup, '_runResolveTask');
+        const callback = () => {};
+
+        lookup._innerResolve(addresses.INET_HOST1, 4, callback);
+
+        assert.isTrue(runResolveTaskStub.calledOnce);
+        assert.isTrue(
+            runResolveTaskStub.calledWithExactly(
+                addresses.INET_HOST1,
+                4,
+                key,
+                callback
+            )
+        );
+    });
+
+    it('must return cached negative answer', done => {
+        const Lookup = require('../../../src/Lookup');
+
+        const key = `${addresses.INET_HOST1}_6`;
+        const error = new Error('some error');
+
+        const lookup = new Lookup({ negativeTtl: 60 });
+
+        lookup._addressCache.setNegative(key, error, Date.now() + 1000);
+
+        const runResolveTaskStub = sinon.stub(lookup, '_runResolveTask');
+
+        lookup._innerResolve(addresses.INET_HOST1, 6, (...args) => {
+            assert.deepEqual(args, [error]);
+            assert.isTrue(runResolveTaskStub.notCalled);
+
+            done();
+        });
+    });
+
+    it('must fail timed out query and free tasks manager slot for the next caller', done => {
+        const Lookup = require('../../../src/Lookup');
+
+        const key = `${addresses.INET_HOST1}_4`;
+        const resolver = {
+            resolve: sinon.spy(() => new Promise(() => {}))
+        };
+
+        const lookup = new Lookup({ resolver, queryTimeout: 10 });
+
+        lookup._innerResolve(addresses.INET_HOST1, 4, error => {
+            assert.strictEqual(error.code, 'ETIMEOUT');
+            assert.isUndefined(lookup._tasksManager.find(key));
+
+            lookup._innerResolve(addresses.INET_HOST1, 4, () => {});
+
+            assert.isTrue(resolver.resolve.calledTwice);
+            assert.isDefined(lookup._tasksManager.find(key));
+
+            done();
+        });
+    });
 });
@@ -0,0 +1,62 @@
+'use strict';
+
+const { assert } = require('chai');
+
+const Lookup = require('../../../src/Lookup');
+const addresses = require('../../addresses');
+
+describe('Unit: Lookup::_parseIpLiteral', () => {
+    const lookup = new Lookup();
+
+    const testCases = [
+        {
+            hostname: '10.0.0.5',
+            expected: { address: '10.0.0.5', family: 4 }
+        },
+        {
+            hostname: '::1',
+            expected: { address: '::1', family: 6 }
+        },
+        {
+            hostname: '[::1]',
+            expected: { address: '::1', family: 6 }
+        },
+        {
+            hostname: 'fe80::1%eth0',
+            expected: { address: 'fe80::1%eth0', family: 6 }
+        },
+        {
+            hostname: '[fe80::1%25eth0]',
+            expected: { address: 'fe80::1%eth0', family: 6 }
+        },
+        {
+            hostname: '[10.0.0.5]',
+            expected: { address: '10.0.0.5', family: 4 }
+        },
+        {
+            hostname: addresses.INET_HOST1,
+            expected: undefined
+        },
+        {
+            hostname: '10.0.0',
+            expected: undefined
+        },
+        {
+            hostname: 'fe80::1%',
+            expected: undefined
+        },
+        {
+            hostname: '[::1',
+            expected: undefined
+        }
+    ];
+
+    testCases.forEach(testCase => {
+        it(`must correct parse '${testCase.hostname}' hostname`, () => {
+            assert.deepEqual(
+                lookup._parseIpLiteral(testCase.hostname),
+                testCase.expected
+            );
+        });
+    });
+});
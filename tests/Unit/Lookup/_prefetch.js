@@ -0,0 +1,192 @@
+'use strict';
+
+const { assert } = require('chai');
+const sinon = require('sinon');
+
+const Lookup = require('../../../src/Lookup');
+const StaticBackend = require('../../../src/StaticBackend');
+const addresses = require('../../addresses');
+
+describe('Unit: Lookup::_prefetch', () => {
+    const hostname = addresses.INET_HOST1;
+    const ipVersion = 4;
+    const key = `${hostname}_${ipVersion}`;
+    const ttl = 10000;
+
+    let lookup;
+    let runResolveTaskStub;
+
+    beforeEach(() => {
+        lookup = new Lookup({ prefetch: true });
+
+        runResolveTaskStub = sinon.stub(lookup, '_runResolveTask');
+    });
+
+    const makeAddresses = elapsed => {
+        const resolvedTime = Date.now() - elapsed;
+
+        return [{ resolvedTime, expiredTime: resolvedTime + ttl }];
+    };
+
+    it('must refresh hot addresses if most of their TTL has elapsed', () => {
+        const cachedAddresses = makeAddresses(ttl * 0.95);
+
+        const onPrefetchSpy = sinon.spy();
+
+        lookup.on('prefetch', onPrefetchSpy);
+
+        lookup._prefetch(hostname, ipVersion, key, cachedAddresses);
+
+        assert.isTrue(runResolveTaskStub.notCalled);
+
+        lookup._prefetch(hostname, ipVersion, key, cachedAddresses);
+
+        assert.isTrue(runResolveTaskStub.calledOnce);
+        assert.deepEqual(runResolveTaskStub.getCall(0).args.slice(0, 3), [
+            hostname,
+            ipVersion,
+            key
+        ]);
+
+        assert.isTrue(onPrefetchSpy.calledOnce);
+        assert.isTrue(onPrefetchSpy.calledWithExactly(hostname, ipVersion));
+
+        assert.strictEqual(lookup.stats().prefetches, 1);
+        assert.isFalse(lookup._hits.has(key));
+    });
+
+    it('must not refresh addresses if threshold has not been reached', () => {
+        const cachedAddresses = makeAddresses(ttl * 0.5);
+
+        lookup._prefetch(hostname, ipVersion, key, cachedAddresses);
+        lookup._prefetch(hostname, ipVersion, key, cachedAddresses);
+
+        assert.isTrue(runResolveTaskStub.notCalled);
+        assert.strictEqual(lookup._hits.get(key), 2);
+    });
+
+    it('must respect prefetchThreshold and prefetchMinHits options', () => {
+        lookup = new Lookup({
+            prefetch: true,
+            prefetchThreshold: 0.5,
+            prefetchMinHits: 1
+        });
+
+        runResolveTaskStub = sinon.stub(lookup, '_runResolveTask');
+
+        lookup._prefetch(hostname, ipVersion, key, makeAddresses(ttl * 0.6));
+
+        assert.isTrue(runResolveTaskStub.calledOnce);
+    });
+
+    it('must not refresh addresses that are being resolved at the moment', () => {
+        const cachedAddresses = makeAddresses(ttl * 0.95);
+
+        lookup._tasksManager.add(key, {});
+
+        lookup._prefetch(hostname, ipVersion, key, cachedAddresses);
+        lookup._prefetch(hostname, ipVersion, key, cachedAddresses);
+
+        assert.isTrue(runResolveTaskStub.notCalled);
+    });
+
+    it('must be called on cache hit if prefetch option is set', done => {
+        const cachedAddresses = makeAddresses(0);
+
+        lookup._addressCache.set(key, cachedAddresses);
+
+        const prefetchSpy = sinon.spy(lookup, '_prefetch');
+
+        lookup._innerResolve(hostname, ipVersion, () => {
+            assert.isTrue(prefetchSpy.calledOnce);
+            assert.isTrue(
+                prefetchSpy.calledWithExactly(
+                    hostname,
+                    ipVersion,
+                    key,
+                    cachedAddresses
+                )
+            );
+
+            done();
+        });
+    });
+
+    it('must count hits during the TTL of the refreshed addresses only', () => {
+        const clock = sinon.useFakeTimers({ now: 100000, toFake: ['Date'] });
+
+        lookup = new Lookup({
+            prefetch: true,
+            prefetchThreshold: 0.5,
+            prefetchMinHits: 3,
+            hostsFile: false,
+            sweepInterval: 0,
+            resolver: new StaticBackend({ [hostname]: ['1.2.3.4'] }, { ttl: 1 })
+        });
+
+        const resolveSpy = sinon.spy(lookup._taskOptions.resolver, 'resolve');
+        const onPrefetchSpy = sinon.spy();
+
+        lookup.on('prefetch', onPrefetchSpy);
+
+        // Every TTL period has a cache miss and a single cache hit after the threshold.
+        const runPeriod = () => {
+            return lookup
+                .runAsync(hostname, { family: ipVersion })
+                .then(() => {
+                    clock.tick(600);
+
+                    return lookup.runAsync(hostname, { family: ipVersion });
+                })
+                .then(() => clock.tick(500));
+        };
+
+        return runPeriod()
+            .then(runPeriod)
+            .then(runPeriod)
+            .then(() => {
+                clock.restore();
+
+                assert.isTrue(onPrefetchSpy.notCalled);
+                assert.strictEqual(resolveSpy.callCount, 3);
+                assert.strictEqual(lookup._hits.get(key), 1);
+            })
+            .catch(error => {
+                clock.restore();
+
+                throw error;
+            });
+    });
+
+    it('must forget hits of evicted keys', () => {
+        lookup = new Lookup({ prefetch: true, maxEntries: 1 });
+
+        lookup._hits.set(key, 1);
+
+        lookup._addressCache.set(key, []);
+        lookup._addressCache.set(`${addresses.INET_HOST2}_4`, []);
+
+        assert.isFalse(lookup._hits.has(key));
+    });
+
+    const invalidOptions = [
+        [
+            { prefetchThreshold: 0 },
+            "prefetchThreshold must be a number from 0 (exclusive) to 1. '0' has been provided."
+        ],
+        [
+            { prefetchThreshold: 1.5 },
+            "prefetchThreshold must be a number from 0 (exclusive) to 1. '1.5' has been provided."
+        ],
+        [
+            { prefetchMinHits: 0 },
+            "prefetchMinHits must be a positive integer. '0' has been provided."
+        ]
+    ];
+
+    invalidOptions.forEach(([options, message]) => {
+        it(`must throw an exception for ${JSON.stringify(options)}`, () => {
+            assert.throws(() => new Lookup(options), Error, message);
+        });
+    });
+});
@@ -28,8 +28,6 @@ describe('Unit: Lookup::_resolve', () => {
     it('must correct call callback with adjusted error if got NODATA error', () => {
         const expectedErrorMessage = new Error('expected error message');
 
-        const expectedNumberOfResolveTriesAfterError = 0;
-
         const error = new Error('some error');
         error.syscall = 'some-sys-call';
         error.code = dns.NODATA;
@@ -57,11 +55,6 @@ describe('Unit: Lookup::_resolve', () => {
         assert.isTrue(
             makeNotFoundErrorStub.calledWithExactly(hostname, error.syscall)
         );
-
-        assert.strictEqual(
-            lookup._amountOfResolveTries[hostname],
-            expectedNumberOfResolveTriesAfterError
-        );
     });
 
     const testCases = [
@@ -80,7 +73,6 @@ describe('Unit: Lookup::_resolve', () => {
             testCase.family
         }`, () => {
             const expectedErrorMessage = new Error('expected error message');
-            const expectedNumberOfResolveTriesAfterError = 0;
             const expectedSysCall = testCase.syscall;
 
             const error = null;
@@ -116,19 +108,12 @@ describe('Unit: Lookup::_resolve', () => {
                     expectedSysCall
                 )
             );
-
-            assert.strictEqual(
-                lookup._amountOfResolveTries[hostname],
-                expectedNumberOfResolveTriesAfterError
-            );
         });
     });
 
     it('must correct call callback with original error', () => {
         const expectedErrorMessage = new Error('expected error message');
 
-        const expectedNumberOfResolveTriesAfterError = 0;
-
         const callbackStub = sinon.stub();
 
         makeNotFoundErrorStub = sinon.spy(
@@ -150,19 +135,12 @@ describe('Unit: Lookup::_resolve', () => {
         );
 
         assert.isTrue(makeNotFoundErrorStub.notCalled);
-
-        assert.strictEqual(
-            lookup._amountOfResolveTries[hostname],
-            expectedNumberOfResolveTriesAfterError
-        );
     });
 
-    it('must go into recursion if there is no error and records param equals to undefined', () => {
+    it('must return not found error without recursion if records param equals to undefined', () => {
         const error = null;
         const records = undefined;
 
-        const expectedNumberOfResolveTriesAfterRecursion = 0;
-
         const callbackStub = sinon.stub();
 
         makeNotFoundErrorStub = sinon.spy(
@@ -177,18 +155,15 @@ describe('Unit: Lookup::_resolve', () => {
 
         lookup._resolve(hostname, { family: 4 }, callbackStub);
 
+        assert.isTrue(innerResolveStub.calledOnce);
+
         assert.isTrue(callbackStub.calledOnce);
         assert.instanceOf(callbackStub.getCall(0).args[0], Error);
-        assert.strictEqual(
-            callbackStub.getCall(0).args[0].message,
-            `Cannot resolve host '${hostname}'. Too deep recursion.`
-        );
+        assert.strictEqual(callbackStub.getCall(0).args[0].code, dns.NOTFOUND);
 
-        assert.isTrue(makeNotFoundErrorStub.notCalled);
-
-        assert.strictEqual(
-            lookup._amountOfResolveTries[hostname],
-            expectedNumberOfResolveTriesAfterRecursion
+        assert.isTrue(makeNotFoundErrorStub.calledOnce);
+        assert.isTrue(
+            makeNotFoundErrorStub.calledWithExactly(hostname, 'queryA')
         );
     });
 
@@ -196,8 +171,6 @@ describe('Unit: Lookup::_resolve', () => {
         const error = null;
         const records = [{ address: 1, family: 4 }, { address: 2, family: 4 }];
 
-        const expectedNumberOfResolveTriesAfterCorrectResolve = 0;
-
         const callbackStub = sinon.stub();
 
         makeNotFoundErrorStub = sinon.spy(
@@ -210,10 +183,15 @@ describe('Unit: Lookup::_resolve', () => {
                 callback(error, records);
             });
 
+        // rotation starts from the random offset
+        const mathRandomStub = sinon.stub(Math, 'random').returns(0);
+
         lookup._resolve(hostname, { family: 4 }, callbackStub);
         lookup._resolve(hostname, { family: 4 }, callbackStub);
         lookup._resolve(hostname, { family: 4 }, callbackStub);
 
+        mathRandomStub.restore();
+
         assert.isTrue(callbackStub.calledThrice);
 
         assert.deepEqual(callbackStub.getCall(0).args[0], null);
@@ -229,11 +207,6 @@ describe('Unit: Lookup::_resolve', () => {
         assert.deepEqual(callbackStub.getCall(2).args[2], records[0].family);
 
         assert.isTrue(makeNotFoundErrorStub.notCalled);
-
-        assert.strictEqual(
-            lookup._amountOfResolveTries[hostname],
-            expectedNumberOfResolveTriesAfterCorrectResolve
-        );
     });
 
     it('must return all IP addresses ({all: true} options has been provided)', () => {
@@ -249,8 +222,6 @@ describe('Unit: Lookup::_resolve', () => {
             };
         });
 
-        const expectedNumberOfResolveTriesAfterCorrectResolve = 0;
-
         const callbackStub = sinon.stub();
 
         makeNotFoundErrorStub = sinon.spy(
@@ -271,10 +242,102 @@ describe('Unit: Lookup::_resolve', () => {
         assert.deepEqual(callbackStub.getCall(0).args[1], expectedRecords);
 
         assert.isTrue(makeNotFoundErrorStub.notCalled);
+    });
 
-        assert.strictEqual(
-            lookup._amountOfResolveTries[hostname],
-            expectedNumberOfResolveTriesAfterCorrectResolve
+    it('must select address with address selector using caller-supplied key', () => {
+        const records = [{ address: 1, family: 6 }, { address: 2, family: 6 }];
+
+        const callbackStub = sinon.stub();
+
+        makeNotFoundErrorStub = sinon.spy(
+            Lookup.prototype,
+            '_makeNotFoundError'
+        );
+        innerResolveStub = sinon
+            .stub(Lookup.prototype, '_innerResolve')
+            .callsFake((hostname, family, callback) => {
+                callback(null, records);
+            });
+
+        const selectStub = sinon
+            .stub(lookup._addressSelector, 'select')
+            .returns(records[1]);
+
+        lookup._resolve(hostname, { family: 6, key: 'user-1' }, callbackStub);
+
+        assert.isTrue(
+            selectStub.calledWithExactly(`${hostname}_6`, records, {
+                hostname,
+                family: 6,
+                key: 'user-1'
+            })
+        );
+        assert.isTrue(callbackStub.calledWithExactly(null, 2, 6));
+    });
+
+    it('must pass address selection error to callback', () => {
+        const error = new Error('some error');
+
+        const callbackStub = sinon.stub();
+
+        makeNotFoundErrorStub = sinon.spy(
+            Lookup.prototype,
+            '_makeNotFoundError'
         );
+        innerResolveStub = sinon
+            .stub(Lookup.prototype, '_innerResolve')
+            .callsFake((hostname, family, callback) => {
+                callback(null, [{ address: '1.1.1.1', family: 4 }]);
+            });
+
+        lookup = new Lookup({
+            strategy: () => {
+                throw error;
+            }
+        });
+
+        lookup._resolve(hostname, { family: 4 }, callbackStub);
+
+        assert.isTrue(callbackStub.calledOnce);
+        assert.isTrue(callbackStub.calledWithExactly(error));
+    });
+
+    it('must skip quarantined addresses', () => {
+        const records = [
+            { address: '1.1.1.1', family: 4 },
+            { address: '2.2.2.2', family: 4 }
+        ];
+
+        const callbackStub = sinon.stub();
+
+        makeNotFoundErrorStub = sinon.spy(
+            Lookup.prototype,
+            '_makeNotFoundError'
+        );
+        innerResolveStub = sinon
+            .stub(Lookup.prototype, '_innerResolve')
+            .callsFake((hostname, family, callback) => {
+                callback(null, records);
+            });
+
+        lookup.reportFailure(hostname, '1.1.1.1');
+
+        lookup._resolve(hostname, { family: 4 }, callbackStub);
+        lookup._resolve(hostname, { family: 4 }, callbackStub);
+        lookup._resolve(hostname, { all: true, family: 4 }, callbackStub);
+
+        assert.isTrue(
+            callbackStub.getCall(0).calledWithExactly(null, '2.2.2.2', 4)
+        );
+        assert.isTrue(
+            callbackStub.getCall(1).calledWithExactly(null, '2.2.2.2', 4)
+        );
+        assert.deepEqual(callbackStub.getCall(2).args, [null, [records[1]]]);
+
+        lookup.reportFailure(hostname, '2.2.2.2');
+
+        lookup._resolve(hostname, { all: true, family: 4 }, callbackStub);
+
+        assert.deepEqual(callbackStub.getCall(3).args, [null, records]);
     });
 });
@@ -1,6 +1,9 @@
 'use strict';
 
 const dns = require('dns');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
 
 const async = require('async');
 const { assert } = require('chai');
@@ -15,7 +18,7 @@ describe('Unit: Lookup::_resolveBoth', () => {
     const hostname = addresses.INET_HOST1;
 
     beforeEach(() => {
-        lookup = new Lookup();
+        lookup = new Lookup({ order: 'ipv4first' });
     });
 
     it('must run two resolve tasks for IPv4 and IPv6 in parallel', () => {
@@ -448,4 +451,270 @@ describe('Unit: Lookup::_resolveBoth', () => {
             done();
         }, 30);
     });
+
+    const orderTestCases = [
+        {
+            options: { all: true, order: 'ipv6first' },
+            expectedFamilies: [6, 6, 4]
+        },
+        {
+            options: { all: true, verbatim: true },
+            expectedFamilies: [6, 6, 4]
+        },
+        {
+            options: { all: true, verbatim: false },
+            expectedFamilies: [4, 6, 6]
+        },
+        {
+            options: { all: true, order: 'verbatim' },
+            expectedFamilies: [6, 6, 4]
+        }
+    ];
+
+    orderTestCases.forEach(testCase => {
+        it(`must return addresses in correct order with ${JSON.stringify(
+            testCase.options
+        )} options`, done => {
+            const ipv4records = [{ address: '1.2.3.4', family: 4 }];
+            const ipv6records = [
+                { address: '2001:db8::1', family: 6 },
+                { address: '2001:db8::2', family: 6 }
+            ];
+
+            const resolveTaskBuilderStub = sinon.stub(
+                lookup,
+                '_resolveTaskBuilder'
+            );
+            resolveTaskBuilderStub.onCall(0).callsFake(() => {
+                return cb => setTimeout(() => cb(null, ipv4records), 20);
+            });
+            resolveTaskBuilderStub.onCall(1).callsFake(() => {
+                return cb => setTimeout(() => cb(null, ipv6records), 10);
+            });
+
+            lookup._resolveBoth(hostname, testCase.options, (error, result) => {
+                assert.ifError(error);
+
+                assert.deepEqual(
+                    result.map(record => record.family),
+                    testCase.expectedFamilies
+                );
+
+                done();
+            });
+        });
+    });
+
+    it('must return the same order for verbatim option regardless of query latencies', done => {
+        const ipv4records = [{ address: '1.2.3.4', family: 4 }];
+        const ipv6records = [{ address: '2001:db8::1', family: 6 }];
+
+        const resolveWithLatencies = (ipv4delay, ipv6delay, callback) => {
+            const resolveTaskBuilderStub = sinon.stub(
+                lookup,
+                '_resolveTaskBuilder'
+            );
+            resolveTaskBuilderStub.onCall(0).callsFake(() => {
+                return cb => setTimeout(() => cb(null, ipv4records), ipv4delay);
+            });
+            resolveTaskBuilderStub.onCall(1).callsFake(() => {
+                return cb => setTimeout(() => cb(null, ipv6records), ipv6delay);
+            });
+
+            lookup._resolveBoth(
+                hostname,
+                { all: true, order: 'verbatim' },
+                (error, result) => {
+                    resolveTaskBuilderStub.restore();
+
+                    callback(error, result);
+                }
+            );
+        };
+
+        resolveWithLatencies(1, 30, (error, ipv4firstResult) => {
+            assert.ifError(error);
+
+            resolveWithLatencies(30, 1, (error, ipv6firstResult) => {
+                assert.ifError(error);
+
+                assert.deepEqual(
+                    ipv4firstResult,
+                    ipv6records.concat(ipv4records)
+                );
+                assert.deepEqual(ipv6firstResult, ipv4firstResult);
+
+                done();
+            });
+        });
+    });
+
+    it('must return IPv6 address with {all: false} option if IPv6 goes first', done => {
+        const ipv4records = ['1.2.3.4', 4];
+        const ipv6records = ['2001:db8::1', 6];
+
+        const resolveTaskBuilderStub = sinon.stub(
+            lookup,
+            '_resolveTaskBuilder'
+        );
+        resolveTaskBuilderStub.onCall(0).callsFake(() => {
+            return cb => setImmediate(() => cb(null, ...ipv4records));
+        });
+        resolveTaskBuilderStub.onCall(1).callsFake(() => {
+            return cb => setImmediate(() => cb(null, ...ipv6records));
+        });
+
+        lookup._resolveBoth(
+            hostname,
+            { order: 'ipv6first' },
+            (error, address, family) => {
+                assert.ifError(error);
+
+                assert.strictEqual(address, ipv6records[0]);
+                assert.strictEqual(family, ipv6records[1]);
+
+                done();
+            }
+        );
+    });
+
+    it('must skip family with quarantined address if the other family is healthy', done => {
+        lookup.reportFailure(hostname, '1.2.3.4');
+
+        sinon
+            .stub(lookup, '_resolveTaskBuilder')
+            .callsFake((hostname, options) => {
+                return cb => {
+                    setImmediate(() => {
+                        if (options.family === Lookup.IPv4) {
+                            return cb(null, '1.2.3.4', Lookup.IPv4);
+                        }
+
+                        cb(null, '2001:db8::1', Lookup.IPv6);
+                    });
+                };
+            });
+
+        lookup._resolveBoth(hostname, {}, (error, address, family) => {
+            assert.ifError(error);
+
+            assert.strictEqual(address, '2001:db8::1');
+            assert.strictEqual(family, Lookup.IPv6);
+
+            lookup.reportFailure(hostname, '2001:db8::1');
+
+            lookup._resolveBoth(hostname, {}, (error, address, family) => {
+                assert.ifError(error);
+
+                assert.strictEqual(address, '1.2.3.4');
+                assert.strictEqual(family, Lookup.IPv4);
+
+                done();
+            });
+        });
+    });
+
+    it('must skip quarantined addresses of both families with {all: true} option', done => {
+        lookup.reportFailure(hostname, '1.2.3.4');
+
+        sinon
+            .stub(lookup, '_resolveTaskBuilder')
+            .callsFake((hostname, options) => {
+                return cb => {
+                    setImmediate(() => {
+                        if (options.family === Lookup.IPv4) {
+                            return cb(null, [
+                                { address: '1.2.3.4', family: 4 }
+                            ]);
+                        }
+
+                        cb(null, [{ address: '2001:db8::1', family: 6 }]);
+                    });
+                };
+            });
+
+        lookup._resolveBoth(hostname, { all: true }, (error, records) => {
+            assert.ifError(error);
+
+            assert.deepEqual(records, [{ address: '2001:db8::1', family: 6 }]);
+
+            done();
+        });
+    });
+
+    describe('hosts file with IPv4 address only', () => {
+        const hostsFilePath = path.join(
+            os.tmpdir(),
+            `lookup-dns-cache-resolve-both-hosts-${process.pid}`
+        );
+
+        const hostsFileHostname = 'ipv4-only.internal';
+
+        let runResolveTaskSpy;
+
+        beforeEach(() => {
+            fs.writeFileSync(hostsFilePath, `10.0.0.1 ${hostsFileHostname}\n`);
+
+            lookup = new Lookup({
+                order: 'ipv6first',
+                hostsFile: hostsFilePath
+            });
+
+            runResolveTaskSpy = sinon.spy(lookup, '_runResolveTask');
+        });
+
+        after(() => {
+            fs.unlinkSync(hostsFilePath);
+        });
+
+        it('must return IPv4 address without querying DNS for IPv6 ones', done => {
+            lookup._resolveBoth(
+                hostsFileHostname,
+                {},
+                (error, address, family) => {
+                    assert.ifError(error);
+
+                    assert.strictEqual(address, '10.0.0.1');
+                    assert.strictEqual(family, Lookup.IPv4);
+
+                    assert.isTrue(runResolveTaskSpy.notCalled);
+
+                    done();
+                }
+            );
+        });
+
+        it('must return IPv4 address only with {all: true} option without querying DNS', done => {
+            lookup._resolveBoth(
+                hostsFileHostname,
+                { all: true },
+                (error, records) => {
+                    assert.ifError(error);
+
+                    assert.deepEqual(records, [
+                        { address: '10.0.0.1', family: Lookup.IPv4 }
+                    ]);
+
+                    assert.isTrue(runResolveTaskSpy.notCalled);
+
+                    done();
+                }
+            );
+        });
+
+        it('must return not found error for IPv6 family without querying DNS', done => {
+            lookup._resolve(
+                hostsFileHostname,
+                { family: Lookup.IPv6 },
+                error => {
+                    assert.instanceOf(error, Error);
+                    assert.strictEqual(error.code, dns.NOTFOUND);
+
+                    assert.isTrue(runResolveTaskSpy.notCalled);
+
+                    done();
+                }
+            );
+        });
+    });
 });
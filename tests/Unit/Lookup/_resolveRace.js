@@ -0,0 +1,239 @@
+'use strict';
+
+const { assert } = require('chai');
+const sinon = require('sinon');
+
+const Lookup = require('../../../src/Lookup');
+const addresses = require('../../addresses');
+
+describe('Unit: Lookup::_resolveRace', () => {
+    const hostname = addresses.INET_HOST1;
+
+    const ipv4records = [{ address: '1.2.3.4', family: 4 }];
+    const ipv6records = [{ address: '2001:db8::1', family: 6 }];
+
+    /**
+     * @param {Lookup} lookup
+     * @param {Array} ipv4result - [delay, error, ...records]
+     * @param {Array} ipv6result - [delay, error, ...records]
+     * @returns {Object}
+     */
+    function stubResolveTaskBuilder(lookup, ipv4result, ipv6result) {
+        const resolveTaskBuilderStub = sinon.stub(
+            lookup,
+            '_resolveTaskBuilder'
+        );
+
+        [ipv4result, ipv6result].forEach((result, index) => {
+            const [delay, ...args] = result;
+
+            resolveTaskBuilderStub.onCall(index).callsFake(() => {
+                return cb => setTimeout(() => cb(...args), delay);
+            });
+        });
+
+        return resolveTaskBuilderStub;
+    }
+
+    it('must answer with preferred family immediately', done => {
+        const lookup = new Lookup({
+            race: true,
+            order: 'ipv6first',
+            resolutionDelay: 1000
+        });
+
+        stubResolveTaskBuilder(
+            lookup,
+            [50, null, ipv4records],
+            [5, null, ipv6records]
+        );
+
+        const startTime = Date.now();
+
+        lookup._resolveRace(hostname, { all: true }, (error, records) => {
+            assert.ifError(error);
+            assert.deepEqual(records, ipv6records);
+            assert.isBelow(Date.now() - startTime, 50);
+
+            done();
+        });
+    });
+
+    it('must wait resolution delay for preferred family and return both families', done => {
+        const lookup = new Lookup({
+            race: true,
+            order: 'ipv6first',
+            resolutionDelay: 100
+        });
+
+        stubResolveTaskBuilder(
+            lookup,
+            [5, null, ipv4records],
+            [20, null, ipv6records]
+        );
+
+        lookup._resolveRace(hostname, { all: true }, (error, records) => {
+            assert.ifError(error);
+            assert.deepEqual(records, ipv6records.concat(ipv4records));
+
+            done();
+        });
+    });
+
+    it('must answer with the other family after resolution delay', done => {
+        const lookup = new Lookup({
+            race: true,
+            order: 'ipv6first',
+            resolutionDelay: 10
+        });
+
+        stubResolveTaskBuilder(lookup, [1, null, '1.2.3.4', 4], [200, null]);
+
+        const startTime = Date.now();
+
+        lookup._resolveRace(hostname, {}, (error, address, family) => {
+            assert.ifError(error);
+            assert.strictEqual(address, '1.2.3.4');
+            assert.strictEqual(family, 4);
+            assert.isBelow(Date.now() - startTime, 200);
+
+            done();
+        });
+    });
+
+    it('must prefer IPv6 for verbatim order even if IPv4 has been resolved first', done => {
+        const lookup = new Lookup({
+            race: true,
+            order: 'verbatim',
+            resolutionDelay: 1000
+        });
+
+        stubResolveTaskBuilder(
+            lookup,
+            [5, null, '1.2.3.4', 4],
+            [50, null, '2001:db8::1', 6]
+        );
+
+        lookup._resolveRace(hostname, {}, (error, address, family) => {
+            assert.ifError(error);
+            assert.strictEqual(address, '2001:db8::1');
+            assert.strictEqual(family, 6);
+
+            done();
+        });
+    });
+
+    it('must wait for the other family if preferred family failed', done => {
+        const lookup = new Lookup({ race: true, order: 'ipv6first' });
+
+        stubResolveTaskBuilder(
+            lookup,
+            [20, null, '1.2.3.4', 4],
+            [1, new Error('some error')]
+        );
+
+        lookup._resolveRace(hostname, {}, (error, address, family) => {
+            assert.ifError(error);
+            assert.strictEqual(address, '1.2.3.4');
+            assert.strictEqual(family, 4);
+
+            done();
+        });
+    });
+
+    it('must return an error if both families failed', done => {
+        const error = new Error('some error');
+        const lookup = new Lookup({ race: true, order: 'ipv4first' });
+
+        stubResolveTaskBuilder(lookup, [1, null, []], [5, error]);
+
+        lookup._resolveRace(hostname, {}, resolveError => {
+            assert.strictEqual(resolveError, error);
+
+            done();
+        });
+    });
+
+    it('must return not found error if no addresses were found', done => {
+        const lookup = new Lookup({ race: true, order: 'ipv4first' });
+
+        const makeNotFoundErrorSpy = sinon.spy(lookup, '_makeNotFoundError');
+
+        stubResolveTaskBuilder(lookup, [1, null, []], [5, null, []]);
+
+        lookup._resolveRace(hostname, { all: true }, error => {
+            assert.instanceOf(error, Error);
+            assert.isTrue(makeNotFoundErrorSpy.calledOnce);
+            assert.isTrue(makeNotFoundErrorSpy.calledWithExactly(hostname));
+
+            done();
+        });
+    });
+
+    it('must skip quarantined address of the preferred family if the other family is healthy', done => {
+        const lookup = new Lookup({
+            race: true,
+            order: 'ipv4first',
+            resolutionDelay: 1000
+        });
+
+        lookup.reportFailure(hostname, '1.2.3.4');
+
+        stubResolveTaskBuilder(
+            lookup,
+            [1, null, '1.2.3.4', 4],
+            [20, null, '2001:db8::1', 6]
+        );
+
+        lookup._resolveRace(hostname, {}, (error, address, family) => {
+            assert.ifError(error);
+            assert.strictEqual(address, '2001:db8::1');
+            assert.strictEqual(family, 6);
+
+            done();
+        });
+    });
+
+    it('must skip quarantined addresses of both families with {all: true} option', done => {
+        const lookup = new Lookup({
+            race: true,
+            order: 'ipv6first',
+            resolutionDelay: 100
+        });
+
+        lookup.reportFailure(hostname, '2001:db8::1');
+
+        stubResolveTaskBuilder(
+            lookup,
+            [20, null, ipv4records],
+            [1, null, ipv6records]
+        );
+
+        lookup._resolveRace(hostname, { all: true }, (error, records) => {
+            assert.ifError(error);
+            assert.deepEqual(records, ipv4records);
+
+            done();
+        });
+    });
+
+    it('must answer with quarantined address if the other family has not been resolved', done => {
+        const lookup = new Lookup({
+            race: true,
+            order: 'ipv4first',
+            resolutionDelay: 10
+        });
+
+        lookup.reportFailure(hostname, '1.2.3.4');
+
+        stubResolveTaskBuilder(lookup, [1, null, '1.2.3.4', 4], [200, null]);
+
+        lookup._resolveRace(hostname, {}, (error, address, family) => {
+            assert.ifError(error);
+            assert.strictEqual(address, '1.2.3.4');
+            assert.strictEqual(family, 4);
+
+            done();
+        });
+    });
+});
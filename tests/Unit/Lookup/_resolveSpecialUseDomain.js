@@ -0,0 +1,111 @@
+'use strict';
+
+const dns = require('dns');
+
+const { assert } = require('chai');
+const sinon = require('sinon');
+
+const Lookup = require('../../../src/Lookup');
+const addresses = require('../../addresses');
+
+describe('Unit: Lookup::_resolveSpecialUseDomain', () => {
+    let lookup;
+
+    let resolveStub;
+    let resolveBothStub;
+
+    beforeEach(() => {
+        lookup = new Lookup({ order: 'ipv4first' });
+
+        resolveStub = sinon.stub(lookup, '_resolve');
+        resolveBothStub = sinon.stub(lookup, '_resolveBoth');
+    });
+
+    const testCases = [
+        {
+            hostname: 'localhost',
+            options: {},
+            expectedArgs: [null, '127.0.0.1', 4]
+        },
+        {
+            hostname: 'app.localhost',
+            options: { family: 6 },
+            expectedArgs: [null, '::1', 6]
+        },
+        {
+            hostname: 'localhost',
+            options: { all: true },
+            expectedArgs: [
+                null,
+                [
+                    { address: '127.0.0.1', family: 4 },
+                    { address: '::1', family: 6 }
+                ]
+            ]
+        },
+        {
+            hostname: 'localhost',
+            options: { all: true, order: 'ipv6first' },
+            expectedArgs: [
+                null,
+                [
+                    { address: '::1', family: 6 },
+                    { address: '127.0.0.1', family: 4 }
+                ]
+            ]
+        }
+    ];
+
+    testCases.forEach(testCase => {
+        it(`must answer loopback addresses for '${
+            testCase.hostname
+        }' and ${JSON.stringify(testCase.options)} options`, done => {
+            lookup.run(testCase.hostname, testCase.options, (...args) => {
+                assert.deepEqual(args, testCase.expectedArgs);
+
+                assert.isTrue(resolveStub.notCalled);
+                assert.isTrue(resolveBothStub.notCalled);
+
+                done();
+            });
+        });
+    });
+
+    const notFoundTestCases = [
+        { hostname: addresses.INVALID_HOST, options: {} },
+        { hostname: 'example.onion', options: { family: 4 } }
+    ];
+
+    notFoundTestCases.forEach(testCase => {
+        it(`must return an error for '${
+            testCase.hostname
+        }' without DNS query`, done => {
+            const makeNotFoundErrorSpy = sinon.spy(
+                lookup,
+                '_makeNotFoundError'
+            );
+
+            lookup.run(testCase.hostname, testCase.options, error => {
+                assert.instanceOf(error, Error);
+                assert.strictEqual(error.code, dns.NOTFOUND);
+                assert.strictEqual(error.hostname, testCase.hostname);
+
+                assert.isTrue(makeNotFoundErrorSpy.calledOnce);
+                assert.isTrue(resolveStub.notCalled);
+                assert.isTrue(resolveBothStub.notCalled);
+
+                done();
+            });
+        });
+    });
+
+    it('must resolve special-use domain via DNS if it is disabled', () => {
+        lookup = new Lookup({ specialUseDomains: { invalid: false } });
+
+        resolveStub = sinon.stub(lookup, '_resolve');
+
+        lookup.run(addresses.INVALID_HOST, { family: 4 }, () => {});
+
+        assert.isTrue(resolveStub.calledOnce);
+    });
+});
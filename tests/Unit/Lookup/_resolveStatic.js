@@ -0,0 +1,101 @@
+'use strict';
+
+const dns = require('dns');
+
+const { assert } = require('chai');
+const sinon = require('sinon');
+
+const Lookup = require('../../../src/Lookup');
+
+describe('Unit: Lookup::_resolveStatic', () => {
+    let lookup;
+
+    let resolveStub;
+    let resolveBothStub;
+    let addressCacheSetSpy;
+
+    beforeEach(() => {
+        lookup = new Lookup();
+
+        resolveStub = sinon.stub(lookup, '_resolve');
+        resolveBothStub = sinon.stub(lookup, '_resolveBoth');
+        addressCacheSetSpy = sinon.spy(lookup._addressCache, 'set');
+    });
+
+    afterEach(() => {
+        assert.isTrue(resolveStub.notCalled);
+        assert.isTrue(resolveBothStub.notCalled);
+        assert.isTrue(addressCacheSetSpy.notCalled);
+    });
+
+    const testCases = [
+        {
+            hostname: '10.0.0.5',
+            options: {},
+            expectedArgs: [null, '10.0.0.5', 4]
+        },
+        {
+            hostname: '10.0.0.5',
+            options: { family: 4 },
+            expectedArgs: [null, '10.0.0.5', 4]
+        },
+        {
+            hostname: '[::1]',
+            options: { family: 6 },
+            expectedArgs: [null, '::1', 6]
+        },
+        {
+            hostname: 'fe80::1%eth0',
+            options: { all: true },
+            expectedArgs: [null, [{ address: 'fe80::1%eth0', family: 6 }]]
+        }
+    ];
+
+    testCases.forEach(testCase => {
+        it(`must return '${testCase.hostname}' as is for ${JSON.stringify(
+            testCase.options
+        )} options`, done => {
+            let isSync = true;
+
+            const result = lookup.run(
+                testCase.hostname,
+                testCase.options,
+                (...args) => {
+                    assert.isFalse(isSync);
+                    assert.deepEqual(args, testCase.expectedArgs);
+
+                    done();
+                }
+            );
+
+            isSync = false;
+
+            assert.deepEqual(result, {});
+        });
+    });
+
+    const familyMismatchTestCases = [
+        { hostname: '10.0.0.5', family: 6, expectedSysCall: 'queryAaaa' },
+        { hostname: '::1', family: 4, expectedSysCall: 'queryA' }
+    ];
+
+    familyMismatchTestCases.forEach(testCase => {
+        it(`must return an error for '${
+            testCase.hostname
+        }' hostname and family ${testCase.family}`, done => {
+            lookup.run(
+                testCase.hostname,
+                { family: testCase.family, all: true },
+                (error, address) => {
+                    assert.instanceOf(error, Error);
+                    assert.strictEqual(error.code, dns.NOTFOUND);
+                    assert.strictEqual(error.hostname, testCase.hostname);
+                    assert.strictEqual(error.syscall, testCase.expectedSysCall);
+                    assert.isUndefined(address);
+
+                    done();
+                }
+            );
+        });
+    });
+});
@@ -0,0 +1,63 @@
+'use strict';
+
+const dns = require('dns');
+
+const { assert } = require('chai');
+const sinon = require('sinon');
+
+const Lookup = require('../../../src/Lookup');
+const addresses = require('../../addresses');
+
+describe('Unit: Lookup::_runResolveTask', () => {
+    const hostname = addresses.INET_HOST1;
+    const key = `${hostname}_4`;
+
+    it('must count and re-emit retries of the resolve task with hostname and family', done => {
+        const error = new Error('some error');
+        error.code = dns.SERVFAIL;
+
+        const resolver = { resolve: sinon.stub() };
+        resolver.resolve.onCall(0).rejects(error);
+        resolver.resolve.onCall(1).resolves([{ address: '1.2.3.4', ttl: 1 }]);
+
+        const lookup = new Lookup({
+            resolver,
+            retry: { baseDelay: 1 }
+        });
+
+        const onRetrySpy = sinon.spy();
+
+        lookup.on('retry', onRetrySpy);
+
+        lookup._runResolveTask(hostname, 4, key, (resolveError, records) => {
+            assert.isNull(resolveError);
+            assert.strictEqual(records[0].address, '1.2.3.4');
+
+            assert.isTrue(onRetrySpy.calledOnce);
+            assert.isTrue(onRetrySpy.calledWithExactly(hostname, 4, error, 1));
+            assert.strictEqual(lookup.stats().retries, 1);
+
+            done();
+        });
+    });
+
+    it('must release the task of the misbehaving resolver, so next lookup runs a new one', done => {
+        const resolver = { resolve: sinon.stub() };
+        resolver.resolve.onCall(0).throws(new Error('some error'));
+        resolver.resolve.onCall(1).resolves([{ address: '1.2.3.4', ttl: 1 }]);
+
+        const lookup = new Lookup({ resolver, hostsFile: false });
+
+        lookup.run(hostname, 4, error => {
+            assert.instanceOf(error, Error);
+            assert.isUndefined(lookup._tasksManager.find(key));
+
+            lookup.run(hostname, 4, (error, address) => {
+                assert.ifError(error);
+                assert.strictEqual(address, '1.2.3.4');
+
+                done();
+            });
+        });
+    });
+});
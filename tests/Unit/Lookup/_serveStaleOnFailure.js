@@ -0,0 +1,132 @@
+'use strict';
+
+const dns = require('dns');
+
+const { assert } = require('chai');
+const sinon = require('sinon');
+
+const Lookup = require('../../../src/Lookup');
+const addresses = require('../../addresses');
+
+describe('Unit: Lookup::_serveStaleOnFailure', () => {
+    const hostname = addresses.INET_HOST1;
+    const ipVersion = 4;
+    const key = `${hostname}_${ipVersion}`;
+    const serveStale = 1000;
+
+    let lookup;
+    let staleAddresses;
+
+    beforeEach(() => {
+        lookup = new Lookup({ serveStale });
+
+        staleAddresses = [{ expiredTime: Date.now() - serveStale / 2 }];
+
+        lookup._addressCache.set(key, staleAddresses);
+    });
+
+    const errorCodes = [dns.TIMEOUT, dns.SERVFAIL, dns.CONNREFUSED];
+
+    errorCodes.forEach(errorCode => {
+        it(`must answer with stale addresses for ${errorCode} error`, () => {
+            const error = new Error('some error');
+            error.code = errorCode;
+
+            const callbackSpy = sinon.spy();
+            const onStaleSpy = sinon.spy();
+
+            lookup.on('stale', onStaleSpy);
+
+            lookup._serveStaleOnFailure(hostname, ipVersion, key, callbackSpy)(
+                error
+            );
+
+            assert.isTrue(callbackSpy.calledOnce);
+            assert.isTrue(callbackSpy.calledWithExactly(null, staleAddresses));
+
+            assert.isTrue(onStaleSpy.calledOnce);
+            assert.isTrue(
+                onStaleSpy.calledWithExactly(hostname, ipVersion, error)
+            );
+
+            assert.strictEqual(lookup.stats().staleAnswers, 1);
+        });
+    });
+
+    it('must pass original error if addresses are too stale', () => {
+        const error = new Error('some error');
+        error.code = dns.TIMEOUT;
+
+        lookup._addressCache.set(key, [
+            { expiredTime: Date.now() - serveStale * 2 }
+        ]);
+
+        const callbackSpy = sinon.spy();
+
+        lookup._serveStaleOnFailure(hostname, ipVersion, key, callbackSpy)(
+            error
+        );
+
+        assert.isTrue(callbackSpy.calledOnce);
+        assert.isTrue(callbackSpy.calledWithExactly(error, undefined));
+        assert.strictEqual(lookup.stats().staleAnswers, 0);
+    });
+
+    it('must pass original error if it is not an upstream failure', () => {
+        const error = new Error('some error');
+        error.code = dns.NOTFOUND;
+
+        const callbackSpy = sinon.spy();
+
+        lookup._serveStaleOnFailure(hostname, ipVersion, key, callbackSpy)(
+            error
+        );
+
+        assert.isTrue(callbackSpy.calledOnce);
+        assert.isTrue(callbackSpy.calledWithExactly(error, undefined));
+        assert.strictEqual(lookup.stats().staleAnswers, 0);
+    });
+
+    it('must pass resolved addresses as is', () => {
+        const resolvedAddresses = [{}];
+
+        const callbackSpy = sinon.spy();
+
+        lookup._serveStaleOnFailure(hostname, ipVersion, key, callbackSpy)(
+            null,
+            resolvedAddresses
+        );
+
+        assert.isTrue(callbackSpy.calledOnce);
+        assert.isTrue(callbackSpy.calledWithExactly(null, resolvedAddresses));
+    });
+
+    it('must be used by _innerResolve only if serveStale option is set', () => {
+        const runResolveTaskStub = sinon.stub(lookup, '_runResolveTask');
+        const serveStaleOnFailureSpy = sinon.spy(
+            lookup,
+            '_serveStaleOnFailure'
+        );
+
+        const callback = () => {};
+
+        lookup._innerResolve(addresses.INET_HOST2, ipVersion, callback);
+
+        assert.isTrue(serveStaleOnFailureSpy.calledOnce);
+        assert.strictEqual(
+            runResolveTaskStub.getCall(0).args[3],
+            serveStaleOnFailureSpy.getCall(0).returnValue
+        );
+
+        lookup = new Lookup();
+
+        const defaultRunResolveTaskStub = sinon.stub(lookup, '_runResolveTask');
+
+        lookup._innerResolve(addresses.INET_HOST2, ipVersion, callback);
+
+        assert.strictEqual(
+            defaultRunResolveTaskStub.getCall(0).args[3],
+            callback
+        );
+    });
+});
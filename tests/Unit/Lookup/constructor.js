@@ -0,0 +1,158 @@
+'use strict';
+
+const { EventEmitter } = require('events');
+
+const { assert } = require('chai');
+const proxyquire = require('proxyquire');
+const sinon = require('sinon');
+
+const addresses = require('../../addresses');
+
+describe('Unit: Lookup::constructor', () => {
+    it('must pass options to address cache and resolve tasks', () => {
+        const options = { some: 'option' };
+
+        const addressCacheSpy = sinon.spy();
+        const tasksManagerSpy = sinon.spy();
+        const resolveTaskSpy = sinon.spy();
+
+        class AddressCache extends EventEmitter {
+            constructor(...args) {
+                super();
+
+                addressCacheSpy(...args);
+            }
+
+            find() {}
+        }
+
+        class TasksManager {
+            constructor(...args) {
+                tasksManagerSpy(...args);
+            }
+
+            find() {}
+            add() {}
+        }
+
+        class ResolveTask {
+            constructor(...args) {
+                resolveTaskSpy(...args);
+            }
+
+            on() {}
+            addResolvedCallback() {}
+            run() {}
+        }
+
+        const Lookup = proxyquire('../../../src/Lookup', {
+            './AddressCache': AddressCache,
+            './TasksManager': TasksManager,
+            './ResolveTask': ResolveTask
+        });
+
+        const lookup = new Lookup(options);
+
+        lookup._innerResolve(addresses.INET_HOST1, 4, () => {});
+
+        assert.isTrue(addressCacheSpy.calledOnce);
+        assert.isTrue(addressCacheSpy.calledWithExactly(options));
+
+        assert.isTrue(tasksManagerSpy.calledOnce);
+        assert.isTrue(tasksManagerSpy.calledWithExactly());
+
+        assert.isTrue(resolveTaskSpy.calledOnce);
+        assert.isTrue(
+            resolveTaskSpy.calledWithExactly(addresses.INET_HOST1, 4, options)
+        );
+    });
+
+    const invalidOptions = [null, 1, '1', [], () => {}];
+
+    invalidOptions.forEach(invalidOption => {
+        it(`must throw an exception if 'options' param has type ${Object.prototype.toString.call(
+            invalidOption
+        )}`, () => {
+            const Lookup = require('../../../src/Lookup');
+
+            assert.throws(
+                () => new Lookup(invalidOption),
+                Error,
+                'options must be an object.'
+            );
+        });
+    });
+
+    const invalidTaskOptions = [
+        [
+            { minTtl: -1 },
+            "minTtl must be a non-negative number. '-1' has been provided."
+        ],
+        [
+            { maxTtl: -1 },
+            "maxTtl must be a non-negative number. '-1' has been provided."
+        ],
+        [
+            { maxTtl: '60' },
+            "maxTtl must be a non-negative number. '60' has been provided."
+        ],
+        [
+            { minTtl: 10, maxTtl: 5 },
+            "minTtl must be less than or equal to maxTtl. '10' and '5' have been provided."
+        ],
+        [
+            { ttlJitter: -0.1 },
+            "ttlJitter must be a number from 0 to 1. '-0.1' has been provided."
+        ],
+        [
+            { ttlJitter: 1.1 },
+            "ttlJitter must be a number from 0 to 1. '1.1' has been provided."
+        ],
+        [
+            { queryTimeout: -1 },
+            "queryTimeout must be a non-negative integer. '-1' has been provided."
+        ],
+        [{ retry: 1 }, 'retry must be an object or a boolean.'],
+        [
+            { retry: { maxAttempts: 0 } },
+            "retry.maxAttempts must be a positive integer. '0' has been provided."
+        ]
+    ];
+
+    invalidTaskOptions.forEach(([options, message]) => {
+        it(`must throw an exception for ${JSON.stringify(
+            options
+        )} options`, () => {
+            const Lookup = require('../../../src/Lookup');
+
+            assert.throws(() => new Lookup(options), Error, message);
+        });
+    });
+
+    it('must re-emit evict event of address cache with hostname and family', () => {
+        const Lookup = require('../../../src/Lookup');
+
+        const lookup = new Lookup({ maxEntries: 1 });
+        const evictedAddresses = [{ address: '1.2.3.4' }];
+
+        const onEvictSpy = sinon.spy();
+
+        lookup.on('evict', onEvictSpy);
+
+        lookup._addressCache.set(
+            lookup._makeKey(addresses.INVALID_HOST, 6),
+            evictedAddresses
+        );
+        lookup._addressCache.set(lookup._makeKey(addresses.INET_HOST1, 4), []);
+
+        assert.isTrue(onEvictSpy.calledOnce);
+        assert.isTrue(
+            onEvictSpy.calledWithExactly(
+                addresses.INVALID_HOST,
+                6,
+                evictedAddresses
+            )
+        );
+        assert.strictEqual(lookup.stats().evictions, 1);
+    });
+});
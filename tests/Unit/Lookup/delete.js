@@ -0,0 +1,74 @@
+'use strict';
+
+const { assert } = require('chai');
+const sinon = require('sinon');
+
+const Lookup = require('../../../src/Lookup');
+const addresses = require('../../addresses');
+
+describe('Unit: Lookup::delete', () => {
+    const hostname = addresses.INET_HOST1;
+
+    let lookup;
+
+    beforeEach(() => {
+        lookup = new Lookup({ sweepInterval: 0 });
+
+        [4, 6].forEach(family => {
+            const key = lookup._makeKey(hostname, family);
+
+            lookup._addressCache.set(key, [
+                { address: 'address', family, expiredTime: Date.now() + 1000 }
+            ]);
+            lookup._hits.set(key, 1);
+        });
+    });
+
+    it('must delete addresses of the hostname for particular family', () => {
+        const forgetSpy = sinon.spy(lookup._addressSelector, 'forget');
+
+        assert.isTrue(lookup.has(hostname));
+        assert.isTrue(lookup.delete(hostname, 4));
+        assert.isFalse(lookup.delete(hostname, 4));
+
+        assert.isFalse(lookup.has(hostname, 4));
+        assert.isTrue(lookup.has(hostname, 6));
+        assert.isTrue(lookup.has(hostname));
+
+        assert.isFalse(lookup._hits.has(`${hostname}_4`));
+        assert.isTrue(forgetSpy.calledWithExactly(`${hostname}_4`));
+    });
+
+    it('must delete addresses of the hostname for both families', () => {
+        lookup._addressCache.setNegative(
+            `${addresses.INVALID_HOST}_6`,
+            new Error('some error'),
+            Date.now() + 1000
+        );
+
+        assert.isTrue(lookup.delete(hostname));
+        assert.isTrue(lookup.delete(addresses.INVALID_HOST));
+
+        assert.isFalse(lookup.has(hostname));
+        assert.deepEqual(lookup.entries(), []);
+    });
+
+    it('must delete all entries on clear', () => {
+        lookup.clear();
+
+        assert.isFalse(lookup.has(hostname));
+        assert.strictEqual(lookup._hits.size, 0);
+        assert.deepEqual(lookup.entries(), []);
+    });
+
+    it('must throw error if family is invalid', () => {
+        assert.throws(
+            () => lookup.delete(hostname, 5),
+            'invalid family number, must be one of the {4, 6} or undefined'
+        );
+        assert.throws(
+            () => lookup.has(hostname, '4'),
+            'invalid family number, must be one of the {4, 6} or undefined'
+        );
+    });
+});
@@ -0,0 +1,91 @@
+'use strict';
+
+const { assert } = require('chai');
+const sinon = require('sinon');
+
+const Lookup = require('../../../src/Lookup');
+const addresses = require('../../addresses');
+
+describe('Unit: Lookup::entries', () => {
+    let lookup;
+    let clock;
+
+    beforeEach(() => {
+        clock = sinon.useFakeTimers({ now: 100000, toFake: ['Date'] });
+
+        lookup = new Lookup({ sweepInterval: 0 });
+    });
+
+    afterEach(() => {
+        clock.restore();
+    });
+
+    it('must list cached addresses, negative answers and in-flight resolves', () => {
+        const error = new Error('some error');
+
+        lookup._addressCache.set(`${addresses.INET_HOST1}_4`, [
+            {
+                address: '1.1.1.1',
+                family: 4,
+                resolvedTime: 40000,
+                expiredTime: 130500
+            }
+        ]);
+        lookup._addressCache.set(`${addresses.INET_HOST1}_6`, [
+            { address: '::1', family: 6, expiredTime: 90000 }
+        ]);
+        lookup._addressCache.setNegative(
+            `${addresses.INVALID_HOST}_4`,
+            error,
+            110000
+        );
+
+        lookup._tasksManager.add(`${addresses.INET_HOST1}_6`, {});
+        lookup._tasksManager.add(`${addresses.INET_HOST2}_4`, {});
+
+        assert.deepEqual(lookup.entries(), [
+            {
+                hostname: addresses.INET_HOST1,
+                family: 4,
+                addresses: [{ address: '1.1.1.1', family: 4 }],
+                ttl: 31,
+                error: null,
+                resolving: false
+            },
+            {
+                hostname: addresses.INET_HOST1,
+                family: 6,
+                addresses: [{ address: '::1', family: 6 }],
+                ttl: 0,
+                error: null,
+                resolving: true
+            },
+            {
+                hostname: addresses.INVALID_HOST,
+                family: 4,
+                addresses: [],
+                ttl: 10,
+                error,
+                resolving: false
+            },
+            {
+                hostname: addresses.INET_HOST2,
+                family: 4,
+                addresses: [],
+                ttl: 0,
+                error: null,
+                resolving: true
+            }
+        ]);
+    });
+
+    it('must strip resolver identity from the hostname', () => {
+        lookup = new Lookup({ sweepInterval: 0, servers: ['127.0.0.1'] });
+
+        lookup._addressCache.set(lookup._makeKey(addresses.INET_HOST1, 4), [
+            { address: '1.1.1.1', family: 4, expiredTime: 101000 }
+        ]);
+
+        assert.strictEqual(lookup.entries()[0].hostname, addresses.INET_HOST1);
+    });
+});
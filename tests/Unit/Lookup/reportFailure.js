@@ -0,0 +1,59 @@
+'use strict';
+
+const { assert } = require('chai');
+const sinon = require('sinon');
+
+const Lookup = require('../../../src/Lookup');
+const addresses = require('../../addresses');
+
+describe('Unit: Lookup::reportFailure', () => {
+    const hostname = addresses.INET_HOST1;
+
+    let lookup;
+
+    beforeEach(() => {
+        lookup = new Lookup({ quarantinePeriod: 1000 });
+    });
+
+    it('must quarantine address, count and emit it', () => {
+        const quarantineSpy = sinon.spy();
+
+        lookup.on('quarantine', quarantineSpy);
+
+        lookup.reportFailure(hostname, '1.2.3.4');
+        lookup.reportFailure(hostname, '1.2.3.4');
+
+        assert.isTrue(lookup._quarantine.isQuarantined(hostname, '1.2.3.4'));
+        assert.strictEqual(lookup.stats().quarantines, 2);
+
+        assert.isTrue(quarantineSpy.calledTwice);
+        assert.isTrue(
+            quarantineSpy
+                .getCall(0)
+                .calledWithExactly(hostname, '1.2.3.4', 1000)
+        );
+        assert.isTrue(
+            quarantineSpy
+                .getCall(1)
+                .calledWithExactly(hostname, '1.2.3.4', 2000)
+        );
+    });
+
+    it('must release address on success', () => {
+        lookup.reportFailure(hostname, '1.2.3.4');
+        lookup.reportSuccess(hostname, '1.2.3.4');
+
+        assert.isFalse(lookup._quarantine.isQuarantined(hostname, '1.2.3.4'));
+    });
+
+    it('must throw error if hostname or address is invalid', () => {
+        assert.throws(
+            () => lookup.reportFailure('', '1.2.3.4'),
+            'hostname must be a not empty string'
+        );
+        assert.throws(
+            () => lookup.reportSuccess(hostname, 'not-an-ip'),
+            'address must be an IP address'
+        );
+    });
+});
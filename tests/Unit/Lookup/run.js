@@ -79,4 +79,39 @@ describe('Unit: Lookup::run', () => {
         assert.isTrue(resolveBothStub.calledOnce);
         assert.isTrue(resolveBothStub.calledWithExactly(hostname, options, cb));
     });
+
+    it('must throw exception, cuz order option is invalid', () => {
+        const cb = () => {};
+
+        const resolveStub = sinon.stub(lookup, '_resolve');
+        const resolveBothStub = sinon.stub(lookup, '_resolveBoth');
+
+        assert.throws(
+            () => {
+                lookup.run(hostname, { order: 'ipv5first' }, cb);
+            },
+            Error,
+            'invalid order value, must be one of the {ipv4first, ipv6first, verbatim} or undefined'
+        );
+
+        assert.isTrue(resolveStub.notCalled);
+        assert.isTrue(resolveBothStub.notCalled);
+    });
+
+    it('must correct call _resolveRace method, cuz family value is undefined and race mode is enabled', () => {
+        const options = {};
+        const cb = () => {};
+
+        lookup = new Lookup({ race: true });
+
+        const resolveBothStub = sinon.stub(lookup, '_resolveBoth');
+        const resolveRaceStub = sinon.stub(lookup, '_resolveRace');
+
+        lookup.run(hostname, options, cb);
+
+        assert.isTrue(resolveBothStub.notCalled);
+
+        assert.isTrue(resolveRaceStub.calledOnce);
+        assert.isTrue(resolveRaceStub.calledWithExactly(hostname, options, cb));
+    });
 });
@@ -0,0 +1,89 @@
+'use strict';
+
+const { assert } = require('chai');
+const sinon = require('sinon');
+
+const Lookup = require('../../../src/Lookup');
+const addresses = require('../../addresses');
+
+describe('Unit: Lookup::runAsync', () => {
+    const hostname = addresses.INET_HOST1;
+
+    let lookup;
+
+    beforeEach(() => {
+        lookup = new Lookup();
+    });
+
+    it('must resolve with address and family object', () => {
+        const runStub = sinon
+            .stub(lookup, 'run')
+            .callsFake((hostname, options, callback) => {
+                callback(null, '1.2.3.4', 4);
+            });
+
+        return lookup.runAsync(hostname, { family: 4 }).then(result => {
+            assert.deepEqual(result, { address: '1.2.3.4', family: 4 });
+
+            assert.isTrue(runStub.calledOnce);
+            assert.strictEqual(runStub.getCall(0).args[0], hostname);
+            assert.deepEqual(runStub.getCall(0).args[1], { family: 4 });
+        });
+    });
+
+    it('must resolve with array of addresses for {all: true} option', () => {
+        const records = [
+            { address: '1.2.3.4', family: 4 },
+            { address: '5.6.7.8', family: 4 }
+        ];
+
+        sinon.stub(lookup, 'run').callsFake((hostname, options, callback) => {
+            callback(null, records);
+        });
+
+        return lookup.runAsync(hostname, { all: true }).then(result => {
+            assert.deepEqual(result, records);
+        });
+    });
+
+    it('must pass empty options object if options param is omitted', () => {
+        const runStub = sinon
+            .stub(lookup, 'run')
+            .callsFake((hostname, options, callback) => {
+                callback(null, null, 4);
+            });
+
+        return lookup.runAsync(null).then(result => {
+            assert.deepEqual(result, { address: null, family: 4 });
+            assert.deepEqual(runStub.getCall(0).args[1], {});
+        });
+    });
+
+    it('must reject with resolve error', () => {
+        const error = new Error('some error');
+
+        sinon.stub(lookup, 'run').callsFake((hostname, options, callback) => {
+            callback(error);
+        });
+
+        return lookup.runAsync(hostname).then(
+            () => assert.fail('promise must be rejected'),
+            rejectedError => {
+                assert.strictEqual(rejectedError, error);
+            }
+        );
+    });
+
+    it('must reject if params are invalid', () => {
+        return lookup.runAsync(hostname, { family: 5 }).then(
+            () => assert.fail('promise must be rejected'),
+            error => {
+                assert.instanceOf(error, Error);
+                assert.strictEqual(
+                    error.message,
+                    'invalid family number, must be one of the {4, 6} or undefined'
+                );
+            }
+        );
+    });
+});
@@ -0,0 +1,102 @@
+'use strict';
+
+const dns = require('dns');
+
+const { assert } = require('chai');
+const sinon = require('sinon');
+
+const Lookup = require('../../../src/Lookup');
+const StaticBackend = require('../../../src/StaticBackend');
+const addresses = require('../../addresses');
+
+describe('Unit: Lookup::warm', () => {
+    let lookup;
+
+    beforeEach(() => {
+        lookup = new Lookup({
+            hostsFile: false,
+            sweepInterval: 0,
+            resolver: new StaticBackend({
+                [addresses.INET_HOST1]: ['1.2.3.4', '2001:db8::1'],
+                [addresses.INET_HOST2]: ['5.6.7.8']
+            })
+        });
+    });
+
+    it('must resolve all addresses of every hostname with the family', () => {
+        const runAsyncSpy = sinon.spy(lookup, 'runAsync');
+
+        return lookup
+            .warm([addresses.INET_HOST1, addresses.INET_HOST2], { family: 4 })
+            .then(results => {
+                assert.isTrue(runAsyncSpy.calledTwice);
+                assert.deepEqual(runAsyncSpy.getCall(0).args, [
+                    addresses.INET_HOST1,
+                    { family: 4, all: true }
+                ]);
+
+                assert.deepEqual(results, [
+                    {
+                        hostname: addresses.INET_HOST1,
+                        addresses: [{ address: '1.2.3.4', family: 4 }]
+                    },
+                    {
+                        hostname: addresses.INET_HOST2,
+                        addresses: [{ address: '5.6.7.8', family: 4 }]
+                    }
+                ]);
+
+                assert.isTrue(lookup.has(addresses.INET_HOST1, 4));
+                assert.isFalse(lookup.has(addresses.INET_HOST1, 6));
+                assert.isTrue(lookup.has(addresses.INET_HOST2, 4));
+            });
+    });
+
+    it('must report failure per hostname without rejection', () => {
+        return lookup
+            .warm([addresses.INET_HOST1, addresses.INET_HOST3])
+            .then(results => {
+                assert.deepEqual(results[0], {
+                    hostname: addresses.INET_HOST1,
+                    addresses: [
+                        { address: '1.2.3.4', family: 4 },
+                        { address: '2001:db8::1', family: 6 }
+                    ]
+                });
+
+                assert.strictEqual(results[1].hostname, addresses.INET_HOST3);
+                assert.instanceOf(results[1].error, Error);
+                assert.strictEqual(results[1].error.code, dns.NOTFOUND);
+
+                assert.isTrue(lookup.has(addresses.INET_HOST1, 4));
+                assert.isTrue(lookup.has(addresses.INET_HOST1, 6));
+            });
+    });
+
+    it('must reject if hostnames are not an array of strings', () => {
+        return lookup.warm(addresses.INET_HOST1).then(
+            () => assert.fail('must be rejected'),
+            error => {
+                assert.strictEqual(
+                    error.message,
+                    'hostnames must be an array of strings'
+                );
+            }
+        );
+    });
+
+    it('must reject if family is invalid', () => {
+        const runAsyncSpy = sinon.spy(lookup, 'runAsync');
+
+        return lookup.warm([addresses.INET_HOST1], { family: 5 }).then(
+            () => assert.fail('must be rejected'),
+            error => {
+                assert.strictEqual(
+                    error.message,
+                    'invalid family number, must be one of the {4, 6} or undefined'
+                );
+                assert.isTrue(runAsyncSpy.notCalled);
+            }
+        );
+    });
+});
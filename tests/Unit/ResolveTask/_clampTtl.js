@@ -0,0 +1,34 @@
+'use strict';
+
+const { assert } = require('chai');
+
+const ResolveTask = require('../../../src/ResolveTask');
+const addresses = require('../../addresses');
+
+describe('Unit: ResolveTask::_clampTtl', () => {
+    const hostname = addresses.INET_HOST1;
+    const ipVersion = 4;
+
+    const testCases = [
+        { options: {}, ttl: 0, expectedTtl: 0 },
+        { options: {}, ttl: 86400, expectedTtl: 86400 },
+        { options: { minTtl: 5 }, ttl: 0, expectedTtl: 5 },
+        { options: { minTtl: 5 }, ttl: 60, expectedTtl: 60 },
+        { options: { maxTtl: 300 }, ttl: 86400, expectedTtl: 300 },
+        { options: { minTtl: 5, maxTtl: 300 }, ttl: 1, expectedTtl: 5 },
+        { options: { minTtl: 5, maxTtl: 300 }, ttl: 60, expectedTtl: 60 }
+    ];
+
+    testCases.forEach(testCase => {
+        it(`must return ${testCase.expectedTtl} for ttl === ${
+            testCase.ttl
+        } and ${JSON.stringify(testCase.options)} options`, () => {
+            const task = new ResolveTask(hostname, ipVersion, testCase.options);
+
+            assert.strictEqual(
+                task._clampTtl(testCase.ttl),
+                testCase.expectedTtl
+            );
+        });
+    });
+});
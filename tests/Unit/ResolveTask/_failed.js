@@ -0,0 +1,276 @@
+'use strict';
+
+const dns = require('dns');
+
+const { assert } = require('chai');
+const sinon = require('sinon');
+
+const DnsBackend = require('../../../src/DnsBackend');
+const ResolveTask = require('../../../src/ResolveTask');
+const addresses = require('../../addresses');
+
+describe('Unit: ResolveTask::_failed', () => {
+    const hostname = addresses.INET_HOST1;
+
+    let clock;
+    let mathRandomStub;
+
+    beforeEach(() => {
+        clock = sinon.useFakeTimers({
+            toFake: ['setTimeout', 'clearTimeout']
+        });
+        mathRandomStub = sinon.stub(Math, 'random').returns(0.5);
+    });
+
+    afterEach(() => {
+        clock.restore();
+        mathRandomStub.restore();
+    });
+
+    const makeError = code => {
+        const error = new Error(code);
+        error.code = code;
+
+        return error;
+    };
+
+    const retryableCodes = [
+        dns.TIMEOUT,
+        dns.SERVFAIL,
+        dns.CONNREFUSED,
+        dns.REFUSED
+    ];
+
+    retryableCodes.forEach(code => {
+        it(`must retry with exponential backoff on ${code} error`, done => {
+            const error = makeError(code);
+            const resolvedAddresses = [{ address: '1.2.3.4', ttl: 60 }];
+
+            const resolver = {
+                resolve: sinon.stub()
+            };
+            resolver.resolve.onCall(0).rejects(error);
+            resolver.resolve.onCall(1).rejects(error);
+            resolver.resolve.onCall(2).resolves(resolvedAddresses);
+
+            const task = new ResolveTask(hostname, 4, {
+                resolver,
+                retry: { baseDelay: 100, factor: 3, jitter: 0.5 }
+            });
+
+            const onRetrySpy = sinon.spy();
+
+            task.on('retry', onRetrySpy);
+
+            task.addResolvedCallback((resolveError, result) => {
+                assert.isNull(resolveError);
+                assert.strictEqual(result, resolvedAddresses);
+
+                assert.isTrue(resolver.resolve.calledThrice);
+
+                // delays are reduced by 25% cuz of jitter
+                assert.isTrue(onRetrySpy.calledTwice);
+                assert.deepEqual(onRetrySpy.getCall(0).args, [error, 1, 75]);
+                assert.deepEqual(onRetrySpy.getCall(1).args, [error, 2, 225]);
+
+                done();
+            });
+
+            task.run();
+
+            setImmediate(() => {
+                assert.isTrue(onRetrySpy.calledOnce);
+
+                clock.tick(74);
+
+                assert.isTrue(resolver.resolve.calledOnce);
+
+                clock.tick(1);
+
+                assert.isTrue(resolver.resolve.calledTwice);
+
+                setImmediate(() => {
+                    clock.tick(225);
+                });
+            });
+        });
+    });
+
+    it('must fail the task after max attempts', done => {
+        const error = makeError(dns.SERVFAIL);
+
+        const resolver = {
+            resolve: sinon.spy(() => Promise.reject(error))
+        };
+
+        const task = new ResolveTask(hostname, 6, {
+            resolver,
+            retry: { maxAttempts: 2, baseDelay: 10 }
+        });
+
+        const onRetrySpy = sinon.spy();
+        const onDoneSpy = sinon.spy();
+
+        task.on('retry', onRetrySpy);
+        task.on('done', onDoneSpy);
+
+        task.addResolvedCallback(resolveError => {
+            assert.strictEqual(resolveError, error);
+
+            assert.isTrue(resolver.resolve.calledTwice);
+            assert.isTrue(onRetrySpy.calledOnce);
+            assert.isTrue(onDoneSpy.calledOnce);
+
+            done();
+        });
+
+        task.run();
+
+        setImmediate(() => {
+            clock.tick(10);
+        });
+    });
+
+    it('must not retry not retryable errors', done => {
+        const error = makeError(dns.NOTFOUND);
+
+        const resolver = {
+            resolve: sinon.spy(() => Promise.reject(error))
+        };
+
+        const task = new ResolveTask(hostname, 4, { resolver, retry: true });
+
+        const onRetrySpy = sinon.spy();
+
+        task.on('retry', onRetrySpy);
+
+        task.addResolvedCallback(resolveError => {
+            assert.strictEqual(resolveError, error);
+
+            assert.isTrue(resolver.resolve.calledOnce);
+            assert.isTrue(onRetrySpy.notCalled);
+
+            done();
+        });
+
+        task.run();
+    });
+
+    it('must not retry if retry option is not set', done => {
+        const error = makeError(dns.SERVFAIL);
+
+        const resolver = {
+            resolve: sinon.spy(() => Promise.reject(error))
+        };
+
+        const task = new ResolveTask(hostname, 4, { resolver });
+
+        task.addResolvedCallback(resolveError => {
+            assert.strictEqual(resolveError, error);
+            assert.isTrue(resolver.resolve.calledOnce);
+
+            done();
+        });
+
+        task.run();
+    });
+
+    it('must respect custom retryable error codes', done => {
+        const error = makeError(dns.NOTFOUND);
+
+        const resolver = {
+            resolve: sinon.stub()
+        };
+        resolver.resolve.onCall(0).rejects(error);
+        resolver.resolve.onCall(1).resolves([]);
+
+        const task = new ResolveTask(hostname, 4, {
+            resolver,
+            retry: { codes: [dns.NOTFOUND], jitter: 0 }
+        });
+
+        task.addResolvedCallback(resolveError => {
+            assert.isNull(resolveError);
+            assert.isTrue(resolver.resolve.calledTwice);
+
+            done();
+        });
+
+        task.run();
+
+        setImmediate(() => {
+            clock.tick(ResolveTask.DEFAULT_RETRY.baseDelay);
+        });
+    });
+
+    it('must stop retrying once query timeout is reached', done => {
+        const error = makeError(dns.SERVFAIL);
+
+        const resolver = {
+            resolve: sinon.spy(() => Promise.reject(error))
+        };
+
+        const task = new ResolveTask(hostname, 4, {
+            resolver,
+            queryTimeout: 50,
+            retry: { baseDelay: 100, jitter: 0 }
+        });
+
+        task.addResolvedCallback(resolveError => {
+            assert.strictEqual(resolveError.code, dns.TIMEOUT);
+            assert.isTrue(resolver.resolve.calledOnce);
+
+            clock.tick(100);
+
+            assert.isTrue(resolver.resolve.calledOnce);
+
+            done();
+        });
+
+        task.run();
+
+        setImmediate(() => {
+            clock.tick(50);
+        });
+    });
+
+    it('must not create dns resolver per attempt of cancellable query', done => {
+        const resolve4Stub = sinon.stub(dns.Resolver.prototype, 'resolve4');
+        resolve4Stub
+            .onCall(0)
+            .callsFake((hostname, options, callback) =>
+                callback(makeError(dns.SERVFAIL))
+            );
+        resolve4Stub
+            .onCall(1)
+            .callsFake((hostname, options, callback) =>
+                callback(null, [{ address: '1.2.3.4', ttl: 60 }])
+            );
+
+        const resolver = new DnsBackend(new dns.Resolver());
+
+        const createSpy = sinon.spy(resolver, '_createDnsResolver');
+
+        const task = new ResolveTask(hostname, 4, {
+            resolver,
+            queryTimeout: 1000,
+            retry: { baseDelay: 10, jitter: 0 }
+        });
+
+        task.addResolvedCallback(resolveError => {
+            resolve4Stub.restore();
+
+            assert.isNull(resolveError);
+            assert.isTrue(resolve4Stub.calledTwice);
+            assert.isTrue(createSpy.calledOnce);
+
+            done();
+        });
+
+        task.run();
+
+        setImmediate(() => {
+            clock.tick(10);
+        });
+    });
+});
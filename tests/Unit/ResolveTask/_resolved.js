@@ -1,5 +1,7 @@
 'use strict';
 
+const dns = require('dns');
+
 const { assert } = require('chai');
 const sinon = require('sinon');
 
@@ -84,4 +86,142 @@ describe('Unit: ResolveTask::_resolved', () => {
             done();
         });
     });
+
+    const negativeErrorCodes = [dns.NOTFOUND, dns.NODATA];
+
+    negativeErrorCodes.forEach(errorCode => {
+        it(`must emit negative answer for ${errorCode} error if negativeTtl option is set`, () => {
+            const negativeTtl = 60;
+            const negativeError = new Error('error');
+            negativeError.code = errorCode;
+
+            const task = new ResolveTask(hostname, ipVersion, { negativeTtl });
+
+            const onNegativeSpy = sinon.spy();
+
+            task.on('negative', onNegativeSpy);
+            task.on('addresses', onAddressesSpy);
+
+            task._callbacks.push(() => {});
+
+            const now = Date.now();
+
+            task._resolved(negativeError);
+
+            assert.isTrue(onNegativeSpy.calledOnce);
+            assert.strictEqual(onNegativeSpy.getCall(0).args[0], negativeError);
+            assert.isAtLeast(
+                onNegativeSpy.getCall(0).args[1],
+                now + negativeTtl * 1000
+            );
+
+            assert.isTrue(onAddressesSpy.notCalled);
+        });
+    });
+
+    it('must not emit negative answer if negativeTtl option is not set', () => {
+        const negativeError = new Error('error');
+        negativeError.code = dns.NOTFOUND;
+
+        const task = new ResolveTask(hostname, ipVersion);
+
+        const onNegativeSpy = sinon.spy();
+
+        task.on('negative', onNegativeSpy);
+        task._callbacks.push(() => {});
+
+        task._resolved(negativeError);
+
+        assert.isTrue(onNegativeSpy.notCalled);
+    });
+
+    it('must not emit negative answer for other errors', () => {
+        const task = new ResolveTask(hostname, ipVersion, { negativeTtl: 60 });
+
+        const onNegativeSpy = sinon.spy();
+
+        task.on('negative', onNegativeSpy);
+        task._callbacks.push(() => {});
+
+        task._resolved(error);
+
+        assert.isTrue(onNegativeSpy.notCalled);
+    });
+
+    it('must compute expiration time using clamped TTL with jitter within the bounds', () => {
+        const task = new ResolveTask(hostname, ipVersion, {
+            minTtl: 10,
+            maxTtl: 100,
+            ttlJitter: 0.5
+        });
+
+        const mathRandomStub = sinon.stub(Math, 'random').returns(0.5);
+
+        const resolvedAddresses = [
+            { address: '1.2.3.4', ttl: 0 },
+            { address: '5.6.7.8', ttl: 1000 },
+            { address: '9.10.11.12', ttl: 12 },
+            { address: '13.14.15.16', ttl: 40 }
+        ];
+
+        task._callbacks.push(() => {});
+
+        const now = Date.now();
+
+        task._resolved(null, resolvedAddresses);
+
+        mathRandomStub.restore();
+
+        // Clamped TTLs are reduced by 25%, the range is shifted up to minTtl if it crosses it
+        assert.closeTo(resolvedAddresses[0].expiredTime - now, 12500, 50);
+        assert.closeTo(resolvedAddresses[1].expiredTime - now, 75000, 50);
+        assert.closeTo(resolvedAddresses[2].expiredTime - now, 13000, 50);
+        assert.closeTo(resolvedAddresses[3].expiredTime - now, 30000, 50);
+
+        assert.closeTo(resolvedAddresses[0].resolvedTime, now, 50);
+        assert.strictEqual(
+            resolvedAddresses[0].resolvedTime,
+            resolvedAddresses[1].resolvedTime
+        );
+
+        assert.strictEqual(resolvedAddresses[0].ttl, 0);
+        assert.strictEqual(resolvedAddresses[1].ttl, 1000);
+    });
+
+    const spreadCases = [
+        { options: { minTtl: 10 }, random: 0, expectedTtl: 15 },
+        { options: { minTtl: 10 }, random: 1, expectedTtl: 10 },
+        { options: { minTtl: 10, maxTtl: 12 }, random: 0, expectedTtl: 12 },
+        { options: { minTtl: 10, maxTtl: 10 }, random: 0, expectedTtl: 10 }
+    ];
+
+    spreadCases.forEach(({ options, random, expectedTtl }) => {
+        it(`must spread TTL 0 raised by minTtl with ${JSON.stringify(
+            options
+        )} options and ${random} random`, () => {
+            const task = new ResolveTask(
+                hostname,
+                ipVersion,
+                Object.assign({ ttlJitter: 0.5 }, options)
+            );
+
+            const mathRandomStub = sinon.stub(Math, 'random').returns(random);
+
+            const resolvedAddresses = [{ address: '1.2.3.4', ttl: 0 }];
+
+            task._callbacks.push(() => {});
+
+            const now = Date.now();
+
+            task._resolved(null, resolvedAddresses);
+
+            mathRandomStub.restore();
+
+            assert.closeTo(
+                resolvedAddresses[0].expiredTime - now,
+                expectedTtl * 1000,
+                50
+            );
+        });
+    });
 });
@@ -0,0 +1,133 @@
+'use strict';
+
+const dns = require('dns');
+
+const { assert } = require('chai');
+const sinon = require('sinon');
+
+const ResolveTask = require('../../../src/ResolveTask');
+const addresses = require('../../addresses');
+
+describe('Unit: ResolveTask::_timedOut', () => {
+    const hostname = addresses.INET_HOST1;
+    const queryTimeout = 1000;
+
+    let clock;
+    let resolveQuery;
+    let query;
+    let resolver;
+
+    beforeEach(() => {
+        clock = sinon.useFakeTimers({
+            toFake: ['setTimeout', 'clearTimeout']
+        });
+
+        query = new Promise(resolve => {
+            resolveQuery = resolve;
+        });
+        query.cancel = sinon.spy();
+
+        resolver = { resolve: sinon.stub().returns(query) };
+    });
+
+    afterEach(() => {
+        clock.restore();
+    });
+
+    const syscalls = { 4: 'queryA', 6: 'queryAaaa' };
+
+    Object.keys(syscalls).forEach(ipVersion => {
+        const syscall = syscalls[ipVersion];
+
+        it(`must fail the task with ETIMEOUT error and cancel the query for IPv${ipVersion}`, done => {
+            const task = new ResolveTask(hostname, Number(ipVersion), {
+                resolver,
+                queryTimeout
+            });
+
+            const callbackSpy = sinon.spy();
+            const onDoneSpy = sinon.spy();
+
+            task.on('done', onDoneSpy);
+            task.addResolvedCallback(callbackSpy);
+            task.addResolvedCallback(callbackSpy);
+
+            task.run();
+
+            assert.deepEqual(resolver.resolve.getCall(0).args[2], {
+                cancellable: true
+            });
+
+            clock.tick(queryTimeout - 1);
+
+            assert.isTrue(query.cancel.notCalled);
+            assert.isTrue(onDoneSpy.notCalled);
+
+            clock.tick(1);
+
+            assert.isTrue(query.cancel.calledOnce);
+            assert.isTrue(onDoneSpy.calledOnce);
+
+            setImmediate(() => {
+                assert.isTrue(callbackSpy.calledTwice);
+
+                const error = callbackSpy.getCall(0).args[0];
+
+                assert.instanceOf(error, Error);
+                assert.strictEqual(
+                    error.message,
+                    `${syscall} ${dns.TIMEOUT} ${hostname}`
+                );
+                assert.strictEqual(error.code, dns.TIMEOUT);
+                assert.strictEqual(error.errno, dns.TIMEOUT);
+                assert.strictEqual(error.syscall, syscall);
+                assert.strictEqual(error.hostname, hostname);
+
+                done();
+            });
+        });
+    });
+
+    it('must ignore late answer of the timed out query', () => {
+        const task = new ResolveTask(hostname, 4, { resolver, queryTimeout });
+
+        const onAddressesSpy = sinon.spy();
+        const onDoneSpy = sinon.spy();
+
+        task.on('addresses', onAddressesSpy);
+        task.on('done', onDoneSpy);
+        task.addResolvedCallback(() => {});
+
+        task.run();
+
+        clock.tick(queryTimeout);
+
+        resolveQuery([{ address: '1.2.3.4', ttl: 60 }]);
+
+        return query.then(() => {
+            assert.isTrue(onAddressesSpy.notCalled);
+            assert.isTrue(onDoneSpy.calledOnce);
+        });
+    });
+
+    it('must not fail the task that has been resolved in time', () => {
+        const task = new ResolveTask(hostname, 4, { resolver, queryTimeout });
+
+        const onDoneSpy = sinon.spy();
+        const done = new Promise(resolve => task.on('done', resolve));
+
+        task.on('done', onDoneSpy);
+        task.addResolvedCallback(() => {});
+
+        task.run();
+
+        resolveQuery([{ address: '1.2.3.4', ttl: 60 }]);
+
+        return done.then(() => {
+            clock.tick(queryTimeout);
+
+            assert.isTrue(query.cancel.notCalled);
+            assert.isTrue(onDoneSpy.calledOnce);
+        });
+    });
+});
@@ -1,10 +1,10 @@
 'use strict';
 
-const dns = require('dns');
-
 const { assert } = require('chai');
 
+const DnsBackend = require('../../../src/DnsBackend');
 const ResolveTask = require('../../../src/ResolveTask');
+const StaticBackend = require('../../../src/StaticBackend');
 const addresses = require('../../addresses');
 
 describe('Unit: ResolveTask::constructor', () => {
@@ -18,8 +18,15 @@ describe('Unit: ResolveTask::constructor', () => {
             assert.strictEqual(task._hostname, hostname);
             assert.strictEqual(task._ipVersion, ipVersion);
 
-            ipVersion === 4 && assert.strictEqual(task._resolver, dns.resolve4);
-            ipVersion !== 4 && assert.strictEqual(task._resolver, dns.resolve6);
+            assert.instanceOf(task._resolver, DnsBackend);
         });
     });
+
+    it('must use passed resolver backend', () => {
+        const resolver = new StaticBackend({});
+
+        const task = new ResolveTask(hostname, 4, { resolver });
+
+        assert.strictEqual(task._resolver, resolver);
+    });
 });
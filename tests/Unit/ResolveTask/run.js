@@ -11,21 +11,93 @@ describe('Unit: ResolveTask::run', () => {
     const ipVersion = 4;
 
     it('must run resolver with correct set of params', () => {
-        const resolverSpy = sinon.spy();
+        const resolveStub = sinon.stub().resolves([]);
 
-        const task = new ResolveTask(hostname, ipVersion);
-
-        task._resolver = resolverSpy;
+        const task = new ResolveTask(hostname, ipVersion, {
+            resolver: { resolve: resolveStub }
+        });
 
+        task.addResolvedCallback(() => {});
         task.run();
 
-        assert.isTrue(resolverSpy.calledOnce);
+        assert.isTrue(resolveStub.calledOnce);
         assert.isTrue(
-            resolverSpy.calledWithExactly(
-                hostname,
-                { ttl: true },
-                task._resolved
-            )
+            resolveStub.calledWithExactly(hostname, ipVersion, {
+                cancellable: false
+            })
         );
     });
+
+    it('must pass resolved addresses to resolved handler', done => {
+        const resolvedAddresses = [{ address: '1.2.3.4', ttl: 60 }];
+
+        const task = new ResolveTask(hostname, ipVersion, {
+            resolver: { resolve: () => Promise.resolve(resolvedAddresses) }
+        });
+
+        const resolvedStub = sinon.stub(task, '_resolved').callsFake(() => {
+            assert.isTrue(
+                resolvedStub.calledWithExactly(null, resolvedAddresses)
+            );
+
+            done();
+        });
+
+        task.run();
+    });
+
+    it('must pass resolve error to resolved handler', done => {
+        const error = new Error('some error');
+
+        const task = new ResolveTask(hostname, ipVersion, {
+            resolver: { resolve: () => Promise.reject(error) }
+        });
+
+        task.addResolvedCallback((resolveError, resolvedAddresses) => {
+            assert.strictEqual(resolveError, error);
+            assert.isUndefined(resolvedAddresses);
+
+            done();
+        });
+
+        task.run();
+    });
+
+    const invalidResolvers = {
+        'throws synchronously': () => {
+            throw new Error('some error');
+        },
+        'returns not a promise': () => [{ address: '1.2.3.4', ttl: 60 }],
+        'resolves with not an array': () => Promise.resolve({}),
+        'resolves with address without ttl': () =>
+            Promise.resolve([{ address: '1.2.3.4' }]),
+        'resolves with not an IP address': () =>
+            Promise.resolve([{ address: 'address', ttl: 60 }])
+    };
+
+    Object.keys(invalidResolvers).forEach(description => {
+        it(`must fail the task if resolver ${description}`, done => {
+            const task = new ResolveTask(hostname, ipVersion, {
+                resolver: { resolve: invalidResolvers[description] }
+            });
+
+            const onAddressesSpy = sinon.spy();
+            const onDoneSpy = sinon.spy();
+
+            task.on('addresses', onAddressesSpy);
+            task.on('done', onDoneSpy);
+
+            task.addResolvedCallback((error, resolvedAddresses) => {
+                assert.instanceOf(error, Error);
+                assert.isUndefined(resolvedAddresses);
+
+                assert.isTrue(onAddressesSpy.notCalled);
+                assert.isTrue(onDoneSpy.calledOnce);
+
+                done();
+            });
+
+            assert.doesNotThrow(() => task.run());
+        });
+    });
 });
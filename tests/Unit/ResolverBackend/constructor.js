@@ -0,0 +1,79 @@
+'use strict';
+
+const dns = require('dns');
+
+const { assert } = require('chai');
+const sinon = require('sinon');
+
+const DnsBackend = require('../../../src/DnsBackend');
+const ResolverBackend = require('../../../src/ResolverBackend');
+
+describe('Unit: ResolverBackend::constructor', () => {
+    const itIfSupported =
+        DnsBackend.IS_LOCAL_ADDRESS_SUPPORTED &&
+        DnsBackend.ARE_RESOLVER_OPTIONS_SUPPORTED
+            ? it
+            : it.skip;
+
+    itIfSupported('must create own dns resolver with passed settings', () => {
+        const resolver = new ResolverBackend({
+            servers: ['1.1.1.1', '8.8.8.8:5353'],
+            localAddress: ['10.0.0.1', '::1'],
+            timeout: 1000,
+            tries: 2
+        });
+
+        assert.instanceOf(resolver._dnsResolver, dns.Resolver);
+        assert.notStrictEqual(resolver._dnsResolver, dns);
+
+        assert.deepEqual(resolver._dnsResolver.getServers(), [
+            '1.1.1.1',
+            '8.8.8.8:5353'
+        ]);
+        assert.strictEqual(resolver.id, '1.1.1.1,8.8.8.8:5353/10.0.0.1,::1');
+    });
+
+    it('must use system DNS servers if servers are not passed', () => {
+        const resolver = new ResolverBackend();
+
+        assert.strictEqual(resolver.id, dns.getServers().join(','));
+    });
+
+    const unsupportedOptions = [
+        [
+            'IS_LOCAL_ADDRESS_SUPPORTED',
+            { localAddress: '10.0.0.1' },
+            'localAddress option requires NodeJS 15.1.0 or newer'
+        ],
+        [
+            'ARE_RESOLVER_OPTIONS_SUPPORTED',
+            { timeout: 1000 },
+            'timeout and tries options require NodeJS 16.7.0 or newer'
+        ],
+        [
+            'ARE_RESOLVER_OPTIONS_SUPPORTED',
+            { tries: 2 },
+            'timeout and tries options require NodeJS 16.7.0 or newer'
+        ]
+    ];
+
+    unsupportedOptions.forEach(([feature, options, message]) => {
+        it(`must throw an exception for ${JSON.stringify(
+            options
+        )} if NodeJS does not support it`, () => {
+            const featureStub = sinon
+                .stub(DnsBackend, feature)
+                .get(() => false);
+
+            try {
+                assert.throws(
+                    () => new ResolverBackend(options),
+                    Error,
+                    message
+                );
+            } finally {
+                featureStub.restore();
+            }
+        });
+    });
+});
@@ -0,0 +1,100 @@
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { assert } = require('chai');
+
+const SearchBackend = require('../../../src/SearchBackend');
+
+describe('Unit: SearchBackend::_readResolvConf', () => {
+    const resolvConfPath = path.join(
+        os.tmpdir(),
+        `lookup-dns-cache-resolv-conf-${process.pid}`
+    );
+
+    afterEach(() => {
+        if (fs.existsSync(resolvConfPath)) {
+            fs.unlinkSync(resolvConfPath);
+        }
+    });
+
+    it('must read search domains and ndots', () => {
+        fs.writeFileSync(
+            resolvConfPath,
+            [
+                '# comment line',
+                'nameserver 10.96.0.10',
+                'domain example.com',
+                'search default.svc.cluster.local. svc.cluster.local ; comment',
+                'options ndots:5 timeout:1',
+                ''
+            ].join('\n')
+        );
+
+        const searchBackend = new SearchBackend(
+            {},
+            { search: true, resolvConf: resolvConfPath }
+        );
+
+        assert.deepEqual(searchBackend._readResolvConf(), {
+            domains: ['default.svc.cluster.local', 'svc.cluster.local'],
+            ndots: 5
+        });
+    });
+
+    it('must use domain line if there is no search line', () => {
+        fs.writeFileSync(resolvConfPath, 'domain example.com\n');
+
+        const searchBackend = new SearchBackend(
+            {},
+            { search: true, resolvConf: resolvConfPath }
+        );
+
+        assert.deepEqual(searchBackend._readResolvConf(), {
+            domains: ['example.com'],
+            ndots: SearchBackend.DEFAULT_NDOTS
+        });
+    });
+
+    it('must cap ndots at 15', () => {
+        fs.writeFileSync(resolvConfPath, 'options ndots:20\n');
+
+        const searchBackend = new SearchBackend(
+            {},
+            { search: true, resolvConf: resolvConfPath }
+        );
+
+        assert.strictEqual(searchBackend._readResolvConf().ndots, 15);
+    });
+
+    it('must return defaults, cuz file does not exist', () => {
+        const searchBackend = new SearchBackend(
+            {},
+            { search: true, resolvConf: resolvConfPath }
+        );
+
+        assert.deepEqual(searchBackend._readResolvConf(), {
+            domains: [],
+            ndots: SearchBackend.DEFAULT_NDOTS
+        });
+    });
+
+    it('must be used only for settings that are not passed explicitly', () => {
+        fs.writeFileSync(
+            resolvConfPath,
+            'search svc.cluster.local\noptions ndots:5\n'
+        );
+
+        const searchBackend = new SearchBackend(
+            {},
+            { search: ['example.com'], resolvConf: resolvConfPath }
+        );
+
+        searchBackend._load();
+
+        assert.deepEqual(searchBackend._domains, ['example.com']);
+        assert.strictEqual(searchBackend._ndots, 5);
+    });
+});
@@ -0,0 +1,193 @@
+'use strict';
+
+const dns = require('dns');
+
+const { assert } = require('chai');
+const sinon = require('sinon');
+
+const SearchBackend = require('../../../src/SearchBackend');
+const StaticBackend = require('../../../src/StaticBackend');
+
+describe('Unit: SearchBackend::resolve', () => {
+    const search = ['default.svc.cluster.local', 'svc.cluster.local'];
+
+    let backend;
+
+    beforeEach(() => {
+        backend = new StaticBackend({
+            'redis.default.svc.cluster.local': ['10.0.0.1'],
+            'api.svc.cluster.local': ['10.0.0.2'],
+            'api.svc': ['10.0.0.3'],
+            'example.com': ['10.0.0.4'],
+            'example.com.svc.cluster.local': ['10.0.0.5'],
+            'ipv4only.default.svc.cluster.local': ['10.0.0.6'],
+            ipv4only: ['::6']
+        });
+
+        sinon.spy(backend, 'resolve');
+    });
+
+    const queriedNames = () => {
+        return backend.resolve.getCalls().map(call => call.args[0]);
+    };
+
+    it('must expand short name across search domains in order', () => {
+        const searchBackend = new SearchBackend(backend, { search, ndots: 5 });
+
+        return searchBackend.resolve('api', 4).then(result => {
+            assert.deepEqual(result, [
+                { address: '10.0.0.2', ttl: StaticBackend.DEFAULT_TTL }
+            ]);
+            assert.deepEqual(queriedNames(), [
+                'api.default.svc.cluster.local',
+                'api.svc.cluster.local'
+            ]);
+            assert.isTrue(
+                backend.resolve.alwaysCalledWith(sinon.match.string, 4)
+            );
+        });
+    });
+
+    it('must query name with enough dots as is first', () => {
+        const searchBackend = new SearchBackend(backend, { search, ndots: 1 });
+
+        return searchBackend.resolve('example.com', 4).then(result => {
+            assert.strictEqual(result[0].address, '10.0.0.4');
+            assert.deepEqual(queriedNames(), ['example.com']);
+        });
+    });
+
+    it('must query name as is after search domains if it has not enough dots', () => {
+        const searchBackend = new SearchBackend(backend, { search, ndots: 2 });
+
+        return searchBackend.resolve('api.svc', 4).then(result => {
+            assert.strictEqual(result[0].address, '10.0.0.3');
+            assert.deepEqual(queriedNames(), [
+                'api.svc.default.svc.cluster.local',
+                'api.svc.svc.cluster.local',
+                'api.svc'
+            ]);
+        });
+    });
+
+    it('must not expand fully qualified name', () => {
+        const searchBackend = new SearchBackend(backend, { search, ndots: 5 });
+
+        return searchBackend.resolve('example.com.', 4).then(result => {
+            assert.strictEqual(result[0].address, '10.0.0.4');
+            assert.deepEqual(queriedNames(), ['example.com']);
+        });
+    });
+
+    it('must try next candidate on ENODATA answer', () => {
+        const searchBackend = new SearchBackend(backend, { search, ndots: 1 });
+
+        return searchBackend.resolve('ipv4only', 6).then(result => {
+            assert.strictEqual(result[0].address, '::6');
+            assert.deepEqual(queriedNames(), [
+                'ipv4only.default.svc.cluster.local',
+                'ipv4only.svc.cluster.local',
+                'ipv4only'
+            ]);
+        });
+    });
+
+    it('must reject with error of the original name if all candidates fail', () => {
+        const searchBackend = new SearchBackend(backend, { search, ndots: 1 });
+
+        return searchBackend.resolve('unknown', 4).then(
+            () => assert.fail('must not be resolved'),
+            error => {
+                assert.strictEqual(error.code, dns.NOTFOUND);
+                assert.strictEqual(error.hostname, 'unknown');
+                assert.lengthOf(queriedNames(), 3);
+            }
+        );
+    });
+
+    it('must not try next candidate on other errors', () => {
+        const error = new Error('some error');
+        error.code = dns.SERVFAIL;
+
+        const failingBackend = { resolve: sinon.stub().rejects(error) };
+
+        const searchBackend = new SearchBackend(failingBackend, {
+            search,
+            ndots: 5
+        });
+
+        return searchBackend.resolve('api', 4).then(
+            () => assert.fail('must not be resolved'),
+            resolveError => {
+                assert.strictEqual(resolveError, error);
+                assert.isTrue(failingBackend.resolve.calledOnce);
+            }
+        );
+    });
+
+    it('must cancel the current query and stop trying next candidates', () => {
+        const error = new Error('some error');
+        error.code = dns.NOTFOUND;
+
+        const query = Promise.reject(error);
+        query.cancel = sinon.spy();
+
+        const cancellableBackend = { resolve: sinon.stub().returns(query) };
+
+        const searchBackend = new SearchBackend(cancellableBackend, {
+            search,
+            ndots: 5
+        });
+
+        const promise = searchBackend.resolve('api', 4, { cancellable: true });
+
+        promise.cancel();
+
+        assert.isTrue(query.cancel.calledOnce);
+        assert.isTrue(
+            cancellableBackend.resolve.calledWithExactly(
+                'api.default.svc.cluster.local',
+                4,
+                { cancellable: true }
+            )
+        );
+
+        return promise.then(
+            () => assert.fail('must not be resolved'),
+            resolveError => {
+                assert.strictEqual(resolveError, error);
+                assert.isTrue(cancellableBackend.resolve.calledOnce);
+            }
+        );
+    });
+
+    it('must expose identity of the wrapped backend', () => {
+        backend.id = '1.1.1.1';
+
+        assert.strictEqual(
+            new SearchBackend(backend, { search }).id,
+            '1.1.1.1'
+        );
+    });
+
+    const invalidOptions = [
+        [
+            { search: 'example.com' },
+            'search must be a boolean or an array of strings.'
+        ],
+        [
+            { search: true, ndots: -1 },
+            "ndots must be a non-negative integer. '-1' has been provided."
+        ]
+    ];
+
+    invalidOptions.forEach(([options, message]) => {
+        it(`must throw an exception for ${JSON.stringify(options)}`, () => {
+            assert.throws(
+                () => new SearchBackend(backend, options),
+                Error,
+                message
+            );
+        });
+    });
+});
@@ -0,0 +1,61 @@
+'use strict';
+
+const { assert } = require('chai');
+
+const SpecialUseDomains = require('../../../src/SpecialUseDomains');
+const addresses = require('../../addresses');
+
+describe('Unit: SpecialUseDomains::match', () => {
+    const testCases = [
+        { options: {}, hostname: 'localhost', expected: 'localhost' },
+        { options: {}, hostname: 'LocalHost.', expected: 'localhost' },
+        { options: {}, hostname: 'app.localhost', expected: 'localhost' },
+        { options: {}, hostname: 'localhost.com', expected: undefined },
+        { options: {}, hostname: addresses.INVALID_HOST, expected: 'invalid' },
+        { options: {}, hostname: 'example.onion', expected: 'onion' },
+        { options: {}, hostname: 'example.test', expected: undefined },
+        { options: {}, hostname: 'printer.local', expected: undefined },
+        { options: {}, hostname: addresses.INET_HOST1, expected: undefined },
+        {
+            options: { specialUseDomains: { test: true, local: true } },
+            hostname: 'example.test',
+            expected: 'test'
+        },
+        {
+            options: { specialUseDomains: { test: true, local: true } },
+            hostname: 'printer.local',
+            expected: 'local'
+        },
+        {
+            options: { specialUseDomains: { onion: false } },
+            hostname: 'example.onion',
+            expected: undefined
+        },
+        {
+            options: { specialUseDomains: false },
+            hostname: 'localhost',
+            expected: undefined
+        }
+    ];
+
+    testCases.forEach(testCase => {
+        it(`must return '${testCase.expected}' for '${
+            testCase.hostname
+        }' hostname and ${JSON.stringify(testCase.options)} options`, () => {
+            const specialUseDomains = new SpecialUseDomains(testCase.options);
+
+            assert.strictEqual(
+                specialUseDomains.match(testCase.hostname),
+                testCase.expected
+            );
+        });
+    });
+
+    it('must throw an exception if specialUseDomains option is invalid', () => {
+        assert.throws(
+            () => new SpecialUseDomains({ specialUseDomains: 'localhost' }),
+            Error,
+            'specialUseDomains must be an object or a boolean.'
+        );
+    });
+});
@@ -0,0 +1,84 @@
+'use strict';
+
+const dns = require('dns');
+
+const { assert } = require('chai');
+
+const StaticBackend = require('../../../src/StaticBackend');
+const addresses = require('../../addresses');
+
+describe('Unit: StaticBackend::resolve', () => {
+    const hostname = addresses.INET_HOST1;
+
+    let backend;
+
+    beforeEach(() => {
+        backend = new StaticBackend(
+            {
+                [hostname]: ['1.2.3.4', { address: '5.6.7.8', ttl: 10 }, '::1'],
+                [addresses.INET_HOST2]: ['9.10.11.12']
+            },
+            { ttl: 30 }
+        );
+    });
+
+    it('must resolve IPv4 addresses of the hostname', () => {
+        return backend.resolve(hostname, 4).then(result => {
+            assert.deepEqual(result, [
+                { address: '1.2.3.4', ttl: 30 },
+                { address: '5.6.7.8', ttl: 10 }
+            ]);
+        });
+    });
+
+    it('must resolve IPv6 addresses of the hostname with default TTL', () => {
+        backend = new StaticBackend({ [hostname]: ['::1'] });
+
+        return backend.resolve(hostname, 6).then(result => {
+            assert.deepEqual(result, [
+                { address: '::1', ttl: StaticBackend.DEFAULT_TTL }
+            ]);
+        });
+    });
+
+    it('must return new address objects on every call', () => {
+        return Promise.all([
+            backend.resolve(hostname, 4),
+            backend.resolve(hostname, 4)
+        ]).then(([result1, result2]) => {
+            assert.notStrictEqual(result1[0], result2[0]);
+        });
+    });
+
+    const errors = [
+        [addresses.INVALID_HOST, 4, dns.NOTFOUND, 'queryA'],
+        [addresses.INET_HOST2, 6, dns.NODATA, 'queryAaaa']
+    ];
+
+    errors.forEach(([hostname, family, code, syscall]) => {
+        it(`must reject with ${code} error for IPv${family} of ${hostname}`, () => {
+            return backend.resolve(hostname, family).then(
+                () => assert.fail('must not be resolved'),
+                error => {
+                    assert.instanceOf(error, Error);
+                    assert.strictEqual(
+                        error.message,
+                        `${syscall} ${code} ${hostname}`
+                    );
+                    assert.strictEqual(error.code, code);
+                    assert.strictEqual(error.errno, code);
+                    assert.strictEqual(error.syscall, syscall);
+                    assert.strictEqual(error.hostname, hostname);
+                }
+            );
+        });
+    });
+
+    it('must throw an exception, cuz records is not an object', () => {
+        assert.throws(
+            () => new StaticBackend([]),
+            Error,
+            'records must be an object.'
+        );
+    });
+});
@@ -0,0 +1,106 @@
+'use strict';
+
+const util = require('util');
+
+const { assert } = require('chai');
+const sinon = require('sinon');
+
+const { createLookup, lookup, Lookup } = require('../../../');
+
+describe('Unit: index::createLookup', () => {
+    it('must create lookup function bound to own Lookup instance', () => {
+        const options = { some: 'option' };
+
+        const lookup1 = createLookup(options);
+        const lookup2 = createLookup();
+
+        assert.instanceOf(lookup1, Function);
+        assert.instanceOf(lookup1.instance, Lookup);
+        assert.strictEqual(lookup1.instance._options, options);
+
+        assert.notStrictEqual(lookup1.instance, lookup2.instance);
+        assert.notStrictEqual(
+            lookup1.instance._addressCache,
+            lookup2.instance._addressCache
+        );
+    });
+
+    it('must export default lookup function', () => {
+        assert.instanceOf(lookup, Function);
+        assert.instanceOf(lookup.instance, Lookup);
+    });
+
+    it('must expose promise based lookup function', () => {
+        const lookup = createLookup();
+
+        const runAsyncStub = sinon
+            .stub(lookup.instance, 'runAsync')
+            .resolves({ address: '1.2.3.4', family: 4 });
+
+        assert.instanceOf(lookup.promises.lookup, Function);
+        assert.strictEqual(
+            lookup[util.promisify.custom],
+            lookup.promises.lookup
+        );
+        assert.strictEqual(util.promisify(lookup), lookup.promises.lookup);
+
+        return lookup.promises
+            .lookup('hostname', { family: 4 })
+            .then(result => {
+                assert.deepEqual(result, { address: '1.2.3.4', family: 4 });
+
+                assert.isTrue(runAsyncStub.calledOnce);
+                assert.isTrue(
+                    runAsyncStub.calledWithExactly('hostname', { family: 4 })
+                );
+            });
+    });
+
+    it('must expose address feedback functions bound to the instance', () => {
+        const lookup = createLookup();
+
+        lookup.reportFailure('hostname', '1.2.3.4');
+
+        assert.isTrue(
+            lookup.instance._quarantine.isQuarantined('hostname', '1.2.3.4')
+        );
+
+        lookup.reportSuccess('hostname', '1.2.3.4');
+
+        assert.isFalse(
+            lookup.instance._quarantine.isQuarantined('hostname', '1.2.3.4')
+        );
+    });
+
+    it('must expose cache management functions bound to the instance', () => {
+        const lookup = createLookup({ sweepInterval: 0 });
+
+        lookup.instance._addressCache.set('hostname_4', [
+            { address: '1.2.3.4', family: 4, expiredTime: Date.now() + 1000 }
+        ]);
+
+        assert.isTrue(lookup.has('hostname'));
+        assert.strictEqual(lookup.entries().length, 1);
+        assert.isTrue(lookup.delete('hostname', 4));
+        assert.isFalse(lookup.has('hostname'));
+
+        lookup.instance._addressCache.set('hostname_6', []);
+        lookup.clear();
+
+        assert.deepEqual(lookup.entries(), []);
+    });
+
+    it('must expose warm function bound to the instance', () => {
+        const warmStub = sinon.stub(Lookup.prototype, 'warm').resolves([]);
+
+        const lookup = createLookup();
+
+        lookup.warm(['hostname'], { family: 4 });
+
+        warmStub.restore();
+
+        assert.isTrue(warmStub.calledOnce);
+        assert.strictEqual(warmStub.getCall(0).thisValue, lookup.instance);
+        assert.isTrue(warmStub.calledWithExactly(['hostname'], { family: 4 }));
+    });
+});